@@ -0,0 +1,228 @@
+/**
+ * API Key Authentication
+ * Issues, verifies and revokes API keys stored in the `api_keys` sheet.
+ * Only SHA-256 hashes of the keys are stored; the plain key is shown once at creation.
+ */
+
+// ===  Constants  ===
+const API_KEYS_SHEET_NAME = "api_keys";
+const API_KEY_PREFIX = "sk_";
+/** Roles in increasing order of privilege. A role may call any action allowed to the roles before it. */
+const API_ROLES = ["reader", "cashier", "admin"];
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `api_keys` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The API keys sheet.
+ */
+function _getApiKeysSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(API_KEYS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(API_KEYS_SHEET_NAME);
+    sheet.appendRow([
+      "key_id",
+      "key_hash",
+      "key_hint",
+      "label",
+      "role",
+      "created_at",
+      "revoked_at",
+    ]);
+    console.log("Sheet `api_keys` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to read the `api_keys` sheet without creating it, so that
+ * read-only requests never change the spreadsheet.
+ * @private
+ * @returns {Array<Array>} The sheet values including the header row, or an empty array if the sheet does not exist yet.
+ */
+function _readApiKeysData() {
+  const sheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(API_KEYS_SHEET_NAME);
+  return sheet ? sheet.getDataRange().getValues() : [];
+}
+
+/**
+ * Private helper to convert a spreadsheet row to an API key object.
+ * @private
+ * @param {Array} row - The array of cell values for a single key.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} An API key object with key-value pairs.
+ */
+function _rowToApiKeyObject(row, headers) {
+  const apiKey = {};
+  headers.forEach((header, index) => {
+    apiKey[header] = row[index];
+  });
+  return apiKey;
+}
+
+/**
+ * Private helper to hash an API key with SHA-256.
+ * @private
+ * @param {string} apiKey - The plain API key.
+ * @returns {string} The lowercase hex digest.
+ */
+function _hashApiKey(apiKey) {
+  return Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    String(apiKey),
+    Utilities.Charset.UTF_8,
+  )
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Checks whether a role is allowed to call an action requiring `requiredRole`.
+ * @private
+ * @param {string} role - The caller's role.
+ * @param {string} requiredRole - The minimum role required by the action.
+ * @returns {boolean} True if `role` is at least as privileged as `requiredRole`.
+ */
+function _roleAllows(role, requiredRole) {
+  const roleRank = API_ROLES.indexOf(role);
+  return roleRank !== -1 && roleRank >= API_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Private helper to find the active key record matching a plain API key.
+ * @private
+ * @param {string} apiKey - The plain API key sent by the client.
+ * @returns {Object|null} The key record (without its hash) if the key is valid and not revoked, otherwise null.
+ */
+function _authenticateApiKey(apiKey) {
+  if (!apiKey || typeof apiKey !== "string") return null;
+  try {
+    // No sheet yet means no keys have been issued.
+    const data = _readApiKeysData();
+    if (data.length === 0) return null;
+    const headers = data.shift();
+    const hash = _hashApiKey(apiKey.trim());
+
+    for (const row of data) {
+      const record = _rowToApiKeyObject(row, headers);
+      if (record.key_hash === hash && !record.revoked_at) {
+        const { key_hash, ...caller } = record;
+        return caller;
+      }
+    }
+    return null;
+  } catch (error) {
+    _logError("_authenticateApiKey", error);
+    return null;
+  }
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Creates a new API key. The plain key is returned only once and never stored.
+ * Run it from the script editor to issue the first admin key.
+ * @param {Object} keyData - The key's information.
+ * @param {string} keyData.label - A description of who uses the key (e.g., "Counter tablet").
+ * @param {string} keyData.role - One of `API_ROLES`.
+ * @returns {{success: boolean, api_key: string, key: Object}|{success: boolean, error: string}} The plain key and its record on success, or an error message on failure.
+ */
+function createApiKey({ label, role }) {
+  try {
+    const cleanLabel = label?.trim();
+    if (!cleanLabel) {
+      throw new Error("Field 'label' is required");
+    }
+    if (!API_ROLES.includes(role)) {
+      throw new Error(`Field 'role' must be one of: ${API_ROLES.join(", ")}`);
+    }
+
+    const sheet = _getApiKeysSheet();
+    const plainKey = API_KEY_PREFIX + Utilities.getUuid().replace(/-/g, "");
+    const nextIdNum = _incrementSettingsCounter("last_api_key_id_number");
+
+    const record = {
+      key_id: `K${String(nextIdNum).padStart(5, "0")}`,
+      key_hint: plainKey.slice(-4),
+      label: cleanLabel,
+      role: role,
+      created_at: new Date().toISOString(),
+      revoked_at: "",
+    };
+
+    const headers = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    const stored = { ...record, key_hash: _hashApiKey(plainKey) };
+    sheet.appendRow(
+      headers.map((header) => (stored[header] === undefined ? "" : stored[header])),
+    );
+
+    console.log(`API key ${record.key_id} created with role ${role}`);
+
+    return { success: true, api_key: plainKey, key: record };
+  } catch (error) {
+    _logError("createApiKey", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Revokes an API key so it can no longer be used.
+ * @param {Object} keyData - The key to revoke.
+ * @param {string} keyData.key_id - The ID of the key (e.g., "K00001").
+ * @returns {{success: boolean, key: Object}|{success: boolean, error: string}} The revoked key record on success, or an error message on failure.
+ */
+function revokeApiKey({ key_id }) {
+  try {
+    if (!key_id) {
+      throw new Error("Field 'key_id' is required");
+    }
+
+    const sheet = _getApiKeysSheet();
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const idIdx = headers.indexOf("key_id");
+    const revokedIdx = headers.indexOf("revoked_at");
+
+    for (let i = 0; i < data.length; i++) {
+      if (data[i][idIdx] !== key_id) continue;
+      if (data[i][revokedIdx]) {
+        throw new Error(`API key '${key_id}' is already revoked`);
+      }
+      const revokedAt = new Date().toISOString();
+      sheet.getRange(i + 2, revokedIdx + 1).setValue(revokedAt);
+
+      const { key_hash, ...record } = _rowToApiKeyObject(data[i], headers);
+      console.log(`API key ${key_id} revoked`);
+      return { success: true, key: { ...record, revoked_at: revokedAt } };
+    }
+
+    throw _createError(ERROR_CODES.NOT_FOUND, `API key '${key_id}' not found`);
+  } catch (error) {
+    _logError("revokeApiKey", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Lists every API key without its hash.
+ * @returns {Array<Object>} The API key records. Returns an empty array on error.
+ */
+function getAllApiKeys() {
+  try {
+    const data = _readApiKeysData();
+    if (data.length === 0) return [];
+    const headers = data.shift();
+    return data.map((row) => {
+      const { key_hash, ...record } = _rowToApiKeyObject(row, headers);
+      return record;
+    });
+  } catch (error) {
+    _logError("getAllApiKeys", error);
+    return [];
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Batch Requests
+ * Runs several POST actions in a single web app call. Each item goes through
+ * the same registry, validation and role checks as a standalone request.
+ */
+
+// ===  Constants  ===
+const MAX_BATCH_ITEMS = 50;
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to check whether a sheet name is listed in an action's `sheets`.
+ * @private
+ * @param {string} name - The sheet name.
+ * @param {Array<string>} patterns - Sheet names; a trailing `*` matches any suffix.
+ * @returns {boolean} True if any pattern matches the name.
+ */
+function _sheetNameMatches(name, patterns) {
+  return patterns.some((pattern) =>
+    pattern.endsWith("*")
+      ? name.startsWith(pattern.slice(0, -1))
+      : name === pattern,
+  );
+}
+
+/**
+ * Private helper to collect the sheets an atomic batch may change.
+ * @private
+ * @param {Array<{action: string, data: Object}>} items - The batch items.
+ * @throws {Error} A `VALIDATION_ERROR` if an item is a write that cannot be rolled back.
+ * @returns {Array<string>} The `sheets` patterns of every write in the batch.
+ */
+function _getAtomicBatchSheets(items) {
+  const patterns = [];
+  items.forEach((item, index) => {
+    const resolved = _resolveAction((item || {}).action);
+    // Unknown actions, reads and nested batches fail or run as usual.
+    if (!resolved || !resolved.definition.locked || resolved.name === "batch") {
+      return;
+    }
+    const { sheets } = resolved.definition;
+    if (!sheets) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Item ${index} (${resolved.name}) cannot run in an atomic batch because it cannot be rolled back`,
+      );
+    }
+    patterns.push(...sheets);
+  });
+  return patterns;
+}
+
+/**
+ * Private helper to capture the sheets an atomic batch may change, so the batch can be undone.
+ * Apps Script has no spreadsheet transactions; restoring a snapshot is the rollback.
+ * Formulas are kept as formulas; other sheets are left alone so their writes survive a rollback.
+ * @private
+ * @param {Array<string>} patterns - The sheets to capture (see `_sheetNameMatches`).
+ * @returns {{sheetNames: Array<string>, sheets: Array<{name: string, values: Array<Array<*>>}>}} The names of every existing sheet, and the name and contents of each captured one.
+ */
+function _snapshotSpreadsheet(patterns) {
+  const allSheets = SpreadsheetApp.getActiveSpreadsheet().getSheets();
+  return {
+    sheetNames: allSheets.map((sheet) => sheet.getName()),
+    sheets: allSheets
+      .filter((sheet) => _sheetNameMatches(sheet.getName(), patterns))
+      .map((sheet) => {
+        if (sheet.getLastRow() === 0) {
+          return { name: sheet.getName(), values: [] };
+        }
+        const range = sheet.getDataRange();
+        const formulas = range.getFormulas();
+        return {
+          name: sheet.getName(),
+          values: range
+            .getValues()
+            .map((row, r) =>
+              row.map((value, c) => formulas[r][c] || value),
+            ),
+        };
+      }),
+  };
+}
+
+/**
+ * Private helper to restore a snapshot taken by `_snapshotSpreadsheet`.
+ * Sheets created after the snapshot are deleted; the captured ones get their contents back.
+ * @private
+ * @param {{sheetNames: Array<string>, sheets: Array<{name: string, values: Array<Array<*>>}>}} snapshot - The snapshot to restore.
+ */
+function _restoreSpreadsheet(snapshot) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  ss.getSheets()
+    .filter((sheet) => !snapshot.sheetNames.includes(sheet.getName()))
+    .forEach((sheet) => ss.deleteSheet(sheet));
+
+  snapshot.sheets.forEach(({ name, values }) => {
+    const sheet = ss.getSheetByName(name);
+    if (!sheet) return;
+    sheet.clearContents();
+    if (values.length > 0) {
+      sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+    }
+  });
+
+  // Rows moved back under the cached lookup index, and settings counters were reset.
+  _invalidateCustomerIndex();
+  _invalidateSettingsCache();
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Runs a list of actions in order and returns their responses in the same order.
+ * In atomic mode the batch stops at the first failure and every earlier write is rolled back.
+ * Atomic batches only accept writes that declare their `sheets` in `ACTIONS`.
+ * @param {Array<{action: string, data: Object}>} items - The actions to run.
+ * @param {boolean} [atomic=false] - All-or-nothing mode.
+ * @param {Object|null} caller - The authenticated API key record; each item is authorized against it.
+ * @returns {{success: boolean, results: Array<Object>, succeeded: number, failed: number}|{success: boolean, error: string}} The per-item responses on success, or an error message if the batch is invalid or an atomic batch was rolled back.
+ */
+function runBatch(items, atomic, caller) {
+  try {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "Field 'items' must be a non-empty array",
+      );
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `A batch accepts at most ${MAX_BATCH_ITEMS} items`,
+      );
+    }
+
+    const atomicSheets = atomic ? _getAtomicBatchSheets(items) : null;
+
+    // The whole batch runs under the script lock, so nothing else writes between snapshot and rollback.
+    return _withScriptLock(() => {
+      const snapshot = atomic ? _snapshotSpreadsheet(atomicSheets) : null;
+      const results = [];
+
+      for (let i = 0; i < items.length; i++) {
+        const { action, data } = items[i] || {};
+        const resolved = _resolveAction(action);
+        const response =
+          resolved && resolved.name === "batch"
+            ? _errorEnvelope(
+                ERROR_CODES.VALIDATION_ERROR,
+                "Batches cannot be nested.",
+              )
+            : _executeAction("POST", action, data, caller);
+        results.push({ index: i, action: action, ...response });
+
+        if (atomic && !response.success) {
+          _restoreSpreadsheet(snapshot);
+          console.warn(`Batch rolled back at item ${i} (${action})`);
+          return {
+            success: false,
+            error: `Item ${i} (${action}) failed: ${response.error}. No changes were applied.`,
+            code: response.code,
+          };
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+      return {
+        success: true,
+        results: results,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+      };
+    });
+  } catch (error) {
+    _logError("runBatch", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * Cash Close Functions
+ * End-of-day reconciliation. The day's `payments` entries are totaled by
+ * method and compared with the amounts counted at the register; each close
+ * is recorded in the `cash_closes` sheet, one row per payment method. A
+ * closed day rejects new sales, payments and reversals until an admin reopens it.
+ */
+
+// ===  Constants  ===
+const CASH_CLOSES_SHEET_NAME = "cash_closes";
+const CASH_CLOSE_STATUS = {
+  CLOSED: "closed",
+  REOPENED: "reopened",
+};
+const BUSINESS_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/; // e.g. 2025-01-15
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `cash_closes` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The cash closes sheet.
+ */
+function _getCashClosesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CASH_CLOSES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CASH_CLOSES_SHEET_NAME);
+    sheet.appendRow([
+      "close_id",
+      "business_date",
+      "method",
+      "expected",
+      "counted",
+      "difference",
+      "status",
+      "notes",
+      "closed_by",
+      "closed_at",
+      "reopened_by",
+      "reopened_at",
+      "reopen_reason",
+    ]);
+    console.log("Sheet `cash_closes` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to convert a spreadsheet row to a cash close line object.
+ * @private
+ * @param {Array} row - The array of cell values for a single line.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A cash close line object with key-value pairs.
+ */
+function _rowToCashCloseObject(row, headers) {
+  const line = {};
+  headers.forEach((header, index) => {
+    line[header] = row[index];
+  });
+  // Sheets turns "2025-01-15" into a Date.
+  if (line.business_date instanceof Date) {
+    line.business_date = _formatSaleDate(line.business_date, "yyyy-MM-dd");
+  }
+  return line;
+}
+
+/**
+ * Private helper to turn a date into its business day in the script time zone.
+ * @private
+ * @param {Date|string} value - A Date, a "yyyy-MM-dd" day, or a stored datetime cell.
+ * @returns {string} The business date (e.g., "2025-01-15"), or "" if the value cannot be parsed.
+ */
+function _businessDate(value) {
+  if (typeof value === "string" && BUSINESS_DATE_REGEX.test(value)) {
+    return value;
+  }
+  const timestamp =
+    value instanceof Date ? value.getTime() : _saleTimestamp(value);
+  return timestamp ? _formatSaleDate(new Date(timestamp), "yyyy-MM-dd") : "";
+}
+
+/**
+ * Private helper to validate an optional business date input.
+ * @private
+ * @param {string} [value] - A date in YYYY-MM-DD format. Defaults to today.
+ * @throws {Error} If the value is not in YYYY-MM-DD format.
+ * @returns {string} The business date.
+ */
+function _parseBusinessDate(value) {
+  if (value === undefined || value === null || value === "") {
+    return _businessDate(new Date());
+  }
+  if (!BUSINESS_DATE_REGEX.test(String(value))) {
+    throw new Error("Field 'business_date' must use the YYYY-MM-DD format");
+  }
+  return String(value);
+}
+
+/**
+ * Private helper to read the close lines of a business day that are still in effect.
+ * @private
+ * @param {string} businessDate - The business date (e.g., "2025-01-15").
+ * @returns {Array<{line: Object, rowIndex: number}>} The "closed" lines with their 1-based row indexes. Empty if the day is open.
+ */
+function _findActiveCloseLines(businessDate) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CASH_CLOSES_SHEET_NAME);
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  return data
+    .map((row, i) => ({
+      line: _rowToCashCloseObject(row, headers),
+      rowIndex: i + 2,
+    }))
+    .filter(
+      ({ line }) =>
+        line.business_date === businessDate &&
+        line.status === CASH_CLOSE_STATUS.CLOSED,
+    );
+}
+
+/**
+ * Rejects writes dated on a closed business day.
+ * @private
+ * @param {Date|string} date - The date of the sale, payment or reversal.
+ * @throws {Error} With code `DAY_CLOSED` if the day has been closed.
+ */
+function _assertDayOpen(date) {
+  const businessDate = _businessDate(date);
+  if (businessDate && _findActiveCloseLines(businessDate).length > 0) {
+    throw _createError(
+      ERROR_CODES.DAY_CLOSED,
+      `Business day ${businessDate} is closed. An admin must reopen it first.`,
+    );
+  }
+}
+
+/**
+ * Private helper to total a business day's payments by method.
+ * Refunds are negative entries, so they reduce the expected amount.
+ * @private
+ * @param {string} businessDate - The business date (e.g., "2025-01-15").
+ * @returns {{expected: Object<string, number>, payments_count: number}} The expected amount per payment method.
+ */
+function _totalPaymentsByMethod(businessDate) {
+  const expected = {};
+  Object.values(PAYMENT_METHODS).forEach((method) => {
+    expected[method] = 0;
+  });
+
+  const data = _readPaymentsData();
+  const headers = data.shift() || [];
+  const payments = data
+    .map((row) => _rowToPaymentObject(row, headers))
+    .filter((payment) => _businessDate(payment.paid_at) === businessDate);
+  payments.forEach((payment) => {
+    const method = payment.method || PAYMENT_METHODS.CASH;
+    expected[method] = (expected[method] || 0) + (Number(payment.amount) || 0);
+  });
+
+  return { expected: expected, payments_count: payments.length };
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Shows a business day's expected totals by payment method and, if the day is
+ * closed, the counted amounts and differences.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.business_date] - The day in YYYY-MM-DD format. Defaults to today.
+ * @returns {{success: boolean, business_date: string, status: string, expected: Object<string, number>, expected_total: number, payments_count: number, close: Array<Object>}|{success: boolean, error: string}} The day's totals on success, or an error message on failure.
+ */
+function getCashClose({ business_date } = {}) {
+  try {
+    const businessDate = _parseBusinessDate(business_date);
+    const { expected, payments_count } = _totalPaymentsByMethod(businessDate);
+    const closeLines = _findActiveCloseLines(businessDate).map(
+      ({ line }) => line,
+    );
+
+    return {
+      success: true,
+      business_date: businessDate,
+      status: closeLines.length > 0 ? CASH_CLOSE_STATUS.CLOSED : "open",
+      expected: expected,
+      expected_total: Object.values(expected).reduce((a, b) => a + b, 0),
+      payments_count: payments_count,
+      close: closeLines,
+    };
+  } catch (error) {
+    _logError("getCashClose", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Closes a business day. The day's payments are totaled by method, compared
+ * with the counted amounts, and one line per method is written to `cash_closes`
+ * with its over (positive) or short (negative) `difference`. The day then
+ * rejects new sales, payments and reversals until reopened.
+ * @param {Object} closeData - The close information.
+ * @param {string} [closeData.business_date] - The day in YYYY-MM-DD format. Defaults to today.
+ * @param {Object<string, number>} closeData.counted - The amount counted for each payment method (e.g., `{ cash: 120000, nequi: 45000 }`). Methods left out count as 0.
+ * @param {string} [closeData.notes] - Free-form notes (e.g., who counted the drawer).
+ * @param {string} [closeData.performed_by] - Who closed the day.
+ * @returns {{success: boolean, close: Object}|{success: boolean, error: string}} The recorded close on success, or an error message on failure.
+ */
+function closeBusinessDay({ business_date, counted, notes, performed_by }) {
+  try {
+    // 1. Validate inputs
+    const businessDate = _parseBusinessDate(business_date);
+    if (businessDate > _businessDate(new Date())) {
+      throw new Error(`Business day ${businessDate} has not happened yet`);
+    }
+    if (!counted || typeof counted !== "object" || Array.isArray(counted)) {
+      throw new Error(
+        "Field 'counted' must be an object of amounts by payment method",
+      );
+    }
+    const methods = Object.values(PAYMENT_METHODS);
+    const countedByMethod = {};
+    for (const key in counted) {
+      const method = _validatePaymentMethod(key);
+      const amount = Number(counted[key]);
+      if (!isFinite(amount) || amount < 0) {
+        throw new Error(
+          `Counted amount for '${method}' must be zero or a positive number`,
+        );
+      }
+      countedByMethod[method] = amount;
+    }
+    if (_findActiveCloseLines(businessDate).length > 0) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Business day ${businessDate} is already closed`,
+      );
+    }
+
+    // 2. Compare expected and counted amounts
+    const { expected, payments_count } = _totalPaymentsByMethod(businessDate);
+    const nextIdNum = _incrementSettingsCounter("last_cash_close_id_number");
+    const closeId = `CC${String(nextIdNum).padStart(5, "0")}`;
+    const closedAt = _formatSaleDate(new Date());
+    const lines = methods.map((method) => {
+      const countedAmount = countedByMethod[method] || 0;
+      return {
+        close_id: closeId,
+        business_date: businessDate,
+        method: method,
+        expected: expected[method] || 0,
+        counted: countedAmount,
+        difference: countedAmount - (expected[method] || 0),
+        status: CASH_CLOSE_STATUS.CLOSED,
+        notes: notes ? String(notes).trim() : "",
+        closed_by: performed_by || "",
+        closed_at: closedAt,
+      };
+    });
+
+    // 3. Record the close
+    const sheet = _getCashClosesSheet();
+    const headers = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, lines.length, headers.length)
+      .setValues(
+        lines.map((line) =>
+          headers.map((header) =>
+            line[header] === undefined ? "" : line[header],
+          ),
+        ),
+      );
+
+    const sum = (field) => lines.reduce((total, line) => total + line[field], 0);
+    const close = {
+      close_id: closeId,
+      business_date: businessDate,
+      payments_count: payments_count,
+      expected_total: sum("expected"),
+      counted_total: sum("counted"),
+      difference: sum("difference"),
+      lines: lines,
+    };
+
+    console.log(
+      `Business day ${businessDate} closed as ${closeId} (difference ${close.difference})`,
+    );
+    return { success: true, close: close };
+  } catch (error) {
+    _logError("closeBusinessDay", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Reopens a closed business day so its sales and payments can be corrected.
+ * The close lines are kept with the `reopened` status; the day must be closed
+ * again afterwards.
+ * @param {Object} reopenData - The reopen information.
+ * @param {string} reopenData.business_date - The day in YYYY-MM-DD format.
+ * @param {string} reopenData.reason - Why the day is reopened.
+ * @param {string} [reopenData.performed_by] - Who reopened the day.
+ * @returns {{success: boolean, business_date: string, close_id: string}|{success: boolean, error: string}} The reopened close on success, or an error message on failure.
+ */
+function reopenBusinessDay({ business_date, reason, performed_by }) {
+  try {
+    if (!business_date) {
+      throw new Error("Field 'business_date' is required");
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error("Field 'reason' is required");
+    }
+    const businessDate = _parseBusinessDate(business_date);
+
+    const closeLines = _findActiveCloseLines(businessDate);
+    if (closeLines.length === 0) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Business day ${businessDate} is not closed`,
+      );
+    }
+
+    const sheet = _getCashClosesSheet();
+    const headers = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    const reopenedAt = _formatSaleDate(new Date());
+    closeLines.forEach(({ line, rowIndex }) => {
+      const updatedLine = {
+        ...line,
+        status: CASH_CLOSE_STATUS.REOPENED,
+        reopened_by: performed_by || "",
+        reopened_at: reopenedAt,
+        reopen_reason: String(reason).trim(),
+      };
+      sheet
+        .getRange(rowIndex, 1, 1, headers.length)
+        .setValues([
+          headers.map((header) =>
+            updatedLine[header] === undefined ? "" : updatedLine[header],
+          ),
+        ]);
+    });
+
+    console.log(`Business day ${businessDate} reopened`);
+    return {
+      success: true,
+      business_date: businessDate,
+      close_id: closeLines[0].line.close_id,
+    };
+  } catch (error) {
+    _logError("reopenBusinessDay", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
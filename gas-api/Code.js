@@ -3,9 +3,29 @@
  * Initialize spreadsheet structure for customer and sales management
  */
 
+// ===  Constants  ===
+/** Maximum time (ms) a request waits for the script lock before failing with `BUSY`. */
+const LOCK_TIMEOUT_MS = 10000;
+
+/** Stable error codes returned in the `code` field of failed API responses. */
+const ERROR_CODES = {
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  NOT_FOUND: "NOT_FOUND",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  CONFLICT: "CONFLICT",
+  UNKNOWN_ACTION: "UNKNOWN_ACTION",
+  METHOD_NOT_ALLOWED: "METHOD_NOT_ALLOWED",
+  INVALID_JSON: "INVALID_JSON",
+  BUSY: "BUSY",
+  CREDIT_LIMIT_EXCEEDED: "CREDIT_LIMIT_EXCEEDED",
+  DAY_CLOSED: "DAY_CLOSED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
 /**
  * Performs first-time setup for the spreadsheet.
- * Creates the `customers`, `sales_summary`, and `settings` sheets.
+ * Creates the `customers`, `sales_summary`, `products` and `settings` sheets.
  * @returns {{success: boolean, actions: Array<string>}} An object containing a success flag and a list of actions performed.
  */
 function setupSpreadsheets() {
@@ -22,19 +42,28 @@ function setupSpreadsheets() {
       "phone",
       "email",
       "registered_at",
+      "credit_limit",
     ]);
     actions.push("Sheet `customers` created.");
   }
   if (!ss.getSheetByName("sales_summary")) {
     const summarySheet = ss.insertSheet("sales_summary");
-    summarySheet.appendRow(["month", "status", "last_updated_at"]);
+    summarySheet.appendRow(SUMMARY_HEADERS);
     actions.push("Sheet `sales_summary` created.");
   }
+  if (!ss.getSheetByName(PRODUCTS_SHEET_NAME)) {
+    _createProductsSheetWithDefault();
+    actions.push(
+      `Sheet \`products\` created with default product ${_getSetting("default_sku")}.`,
+    );
+  }
   if (!ss.getSheetByName("settings")) {
     const settingsSheet = ss.insertSheet("settings");
     settingsSheet.appendRow(["key", "value"]);
     settingsSheet.appendRow(["last_customer_id_number", "0"]); // Initialize the counter
-    actions.push("Sheet `settings` created with ID counter.");
+    // New sheets get the current headers, so there is nothing to migrate.
+    settingsSheet.appendRow(["schema_version", _getLatestSchemaVersion()]);
+    actions.push("Sheet `settings` created with ID counter and schema version.");
   }
 
   const defaultSheet = ss.getSheetByName("Sheet1");
@@ -48,6 +77,148 @@ function setupSpreadsheets() {
   return { message: message, actions: actions };
 }
 
+/**
+ * Private helper to increment a numeric counter stored in the `settings` sheet.
+ * The read and the write happen under the script lock, so concurrent requests
+ * never receive the same value.
+ * @private
+ * @param {string} key - The settings key holding the counter (e.g., "last_payment_id_number").
+ * @param {function(): number} [seedFn] - Called when the key is missing; returns the value to start from. Defaults to 0.
+ * @throws {Error} If the `settings` sheet does not exist, or the lock cannot be acquired.
+ * @returns {number} The incremented counter value.
+ */
+function _incrementSettingsCounter(key, seedFn) {
+  return _withScriptLock(() => {
+    const settingsSheet =
+      SpreadsheetApp.getActiveSpreadsheet().getSheetByName("settings");
+    if (!settingsSheet) {
+      throw new Error("Settings sheet not found. Please run setup first.");
+    }
+
+    const data = settingsSheet.getDataRange().getValues();
+    for (let i = 0; i < data.length; i++) {
+      if (data[i][0] === key) {
+        const nextValue = (parseInt(data[i][1], 10) || 0) + 1;
+        settingsSheet.getRange(i + 1, 2).setValue(nextValue);
+        _invalidateSettingsCache();
+        return nextValue;
+      }
+    }
+
+    // Key not found: register it with the first value.
+    const nextValue = (seedFn ? seedFn() : 0) + 1;
+    settingsSheet.appendRow([key, nextValue]);
+    _invalidateSettingsCache();
+    return nextValue;
+  });
+}
+
+/**
+ * Private helper to read a single raw value from the `settings` sheet.
+ * Business settings should use the typed `_getSetting(key)` instead.
+ * @private
+ * @param {string} key - The settings key (e.g., "schema_version").
+ * @param {*} defaultValue - Returned when the sheet or key is missing, or the value is empty.
+ * @returns {*} The stored value, or `defaultValue`.
+ */
+function _getSettingValue(key, defaultValue) {
+  const value = _getSettingsMap()[key];
+  return value === undefined || value === "" ? defaultValue : value;
+}
+
+/**
+ * Private helper to write a single value to the `settings` sheet, adding the
+ * key when it is missing.
+ * @private
+ * @param {string} key - The settings key (e.g., "schema_version").
+ * @param {*} value - The value to store.
+ * @throws {Error} If the `settings` sheet does not exist, or the lock cannot be acquired.
+ */
+function _setSettingValue(key, value) {
+  _withScriptLock(() => {
+    const settingsSheet =
+      SpreadsheetApp.getActiveSpreadsheet().getSheetByName("settings");
+    if (!settingsSheet) {
+      throw new Error("Settings sheet not found. Please run setup first.");
+    }
+
+    const data = settingsSheet.getDataRange().getValues();
+    for (let i = 0; i < data.length; i++) {
+      if (data[i][0] === key) {
+        settingsSheet.getRange(i + 1, 2).setValue(value);
+        _invalidateSettingsCache();
+        return;
+      }
+    }
+    settingsSheet.appendRow([key, value]);
+    _invalidateSettingsCache();
+  });
+}
+
+/**
+ * Runs a function while holding the script lock, so concurrent executions
+ * cannot interleave their reads and writes. Re-entrant: if the current
+ * execution already holds the lock, the function simply runs.
+ * @private
+ * @param {function(): *} fn - The function to run.
+ * @throws {Error} A `BUSY` error if the lock is not acquired within `LOCK_TIMEOUT_MS`.
+ * @returns {*} The function's return value.
+ */
+function _withScriptLock(fn) {
+  const lock = LockService.getScriptLock();
+  if (lock.hasLock()) return fn();
+
+  if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+    throw _createError(
+      ERROR_CODES.BUSY,
+      "The system is busy processing another request. Please retry.",
+    );
+  }
+  try {
+    return fn();
+  } finally {
+    SpreadsheetApp.flush();
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Private helper to append any missing header columns to an existing sheet.
+ * Existing columns and data are left untouched; new columns start empty.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to extend.
+ * @param {Array<string>} headers - The full list of expected headers.
+ * @returns {Array<string>} The headers that were added.
+ */
+function _ensureSheetColumns(sheet, headers) {
+  const lastColumn = sheet.getLastColumn();
+  const current =
+    lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const missing = headers.filter((header) => !current.includes(header));
+  if (missing.length > 0) {
+    sheet
+      .getRange(1, current.length + 1, 1, missing.length)
+      .setValues([missing]);
+    console.log(`Added columns ${missing.join(", ")} to '${sheet.getName()}'`);
+  }
+  return missing;
+}
+
+/**
+ * Private helper to create an Error tagged with one of `ERROR_CODES`.
+ * Core functions copy `error.code` into their `{ success: false }` result so the
+ * router can report it.
+ * @private
+ * @param {string} code - One of `ERROR_CODES`.
+ * @param {string} message - Human-readable error message.
+ * @returns {Error} The error, with a `code` property.
+ */
+function _createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 /**
  * Private helper to log errors to the console with a specific context.
  * @private
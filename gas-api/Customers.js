@@ -7,6 +7,19 @@
 // ===  Constants  ===
 const NON_DIGITS_REGEX = /\D/g; // Matches all characters that are NOT digits.
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Validates a standard email structure like name@domain.com
+const DIACRITICS_REGEX = /[\u0300-\u036f]/g; // Combining accents left over after NFD normalization.
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const MIN_PHONE_QUERY_DIGITS = 3;
+const INDEXED_CUSTOMER_COLUMNS = ["customer_id", "phone", "email"];
+const CUSTOMER_INDEX_CACHE_KEY = "customer_index";
+const CUSTOMER_INDEX_CACHE_TTL_SECONDS = 21600; // CacheService maximum (6 hours)
+
+/**
+ * Lookup index built at most once per execution: normalized id, phone and email
+ * mapped to their 1-based sheet row. Reset by `_invalidateCustomerIndex()`.
+ */
+let customerIndexMemo = null;
 
 // ================  Helpers  ================
 
@@ -33,41 +46,177 @@ function _rowToCustomerObject(row, headers) {
  */
 function _generateNextCustomerId() {
   try {
-    const settingsSheet =
-      SpreadsheetApp.getActiveSpreadsheet().getSheetByName("settings");
-    if (!settingsSheet) {
-      throw new Error("Settings sheet not found. Please run setup first.");
-    }
+    const nextIdNum = _incrementSettingsCounter("last_customer_id_number", () => {
+      throw new Error("Missing 'last_customer_id_number' in settings sheet.");
+    });
+    return `C${String(nextIdNum).padStart(5, "0")}`;
+  } catch (error) {
+    _logError("_generateNextCustomerId", error);
+    if (error.code === ERROR_CODES.BUSY) throw error;
+    throw new Error("Failed to generate a new customer ID.");
+  }
+}
 
-    // Find the row with the last customer ID counter
-    const data = settingsSheet.getDataRange().getValues();
-    let lastIdNumRow = -1;
-    for (let i = 0; i < data.length; i++) {
-      if (data[i][0] === "last_customer_id_number") {
-        lastIdNumRow = i;
-        break;
-      }
+/**
+ * Private helper to normalize a value the same way lookups compare it.
+ * @private
+ * @param {*} value - The cell or search value.
+ * @returns {string} The trimmed, lowercase value.
+ */
+function _normalizeLookupValue(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Private helper to build the customer lookup index from the sheet.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The "customers" sheet.
+ * @returns {{lastRow: number, headers: Array<string>, columns: Object<string, Object<string, number>>}} The index: for each indexed column, a map of normalized value to 1-based row.
+ */
+function _buildCustomerIndex(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const columns = {};
+
+  INDEXED_CUSTOMER_COLUMNS.forEach((columnName) => {
+    const columnIndex = headers.indexOf(columnName);
+    const valueToRow = {};
+    if (columnIndex !== -1) {
+      data.forEach((row, i) => {
+        const key = _normalizeLookupValue(row[columnIndex]);
+        // Keep the first occurrence, as the sequential scan did.
+        if (key && !(key in valueToRow)) valueToRow[key] = i + 2;
+      });
     }
+    columns[columnName] = valueToRow;
+  });
 
-    if (lastIdNumRow === -1) {
-      throw new Error("Missing 'last_customer_id_number' in settings sheet.");
+  return { lastRow: data.length + 1, headers: headers, columns: columns };
+}
+
+/**
+ * Private helper to get the customer lookup index.
+ * It is memoized for the current execution and cached in CacheService across
+ * requests. A cached index is discarded when the sheet's row count or headers
+ * no longer match, which catches rows added or removed and columns changed by
+ * hand. Values edited by hand in place are caught by `_findCustomerAndIndexBy`
+ * when a lookup lands on a row that no longer holds the value; a new value
+ * typed into an existing row is found once the index is next rebuilt.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The "customers" sheet.
+ * @returns {{lastRow: number, headers: Array<string>, columns: Object<string, Object<string, number>>}} The lookup index.
+ */
+function _getCustomerIndex(sheet) {
+  const lastRow = sheet.getLastRow();
+  const headers = JSON.stringify(_getHeaderRow(sheet));
+  const isCurrent = (index) =>
+    index.lastRow === lastRow && JSON.stringify(index.headers) === headers;
+
+  if (customerIndexMemo && isCurrent(customerIndexMemo)) {
+    return customerIndexMemo;
+  }
+
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(CUSTOMER_INDEX_CACHE_KEY);
+  if (cached) {
+    const index = JSON.parse(cached);
+    if (isCurrent(index)) {
+      customerIndexMemo = index;
+      return index;
     }
+  }
 
-    // Get the last ID number, increment it, and update the sheet
-    const lastIdNum = parseInt(data[lastIdNumRow][1], 10);
-    const nextIdNum = lastIdNum + 1;
-    settingsSheet.getRange(lastIdNumRow + 1, 2).setValue(nextIdNum);
+  customerIndexMemo = _buildCustomerIndex(sheet);
+  _storeCustomerIndex(customerIndexMemo);
+  return customerIndexMemo;
+}
 
-    return `C${String(nextIdNum).padStart(5, "0")}`;
+/**
+ * Private helper to save the customer lookup index in CacheService.
+ * @private
+ * @param {Object} index - The lookup index.
+ */
+function _storeCustomerIndex(index) {
+  try {
+    CacheService.getScriptCache().put(
+      CUSTOMER_INDEX_CACHE_KEY,
+      JSON.stringify(index),
+      CUSTOMER_INDEX_CACHE_TTL_SECONDS,
+    );
   } catch (error) {
-    _logError("_generateNextCustomerId", error);
-    throw new Error("Failed to generate a new customer ID.");
+    // An index over 100KB does not fit in the cache; the per-execution memo still works.
+    _logError("_storeCustomerIndex", error);
+  }
+}
+
+/**
+ * Private helper to add a newly appended customer to the lookup index, if one is loaded.
+ * @private
+ * @param {Object} customer - The new customer object.
+ * @param {number} rowIndex - The customer's 1-based sheet row.
+ */
+function _addToCustomerIndex(customer, rowIndex) {
+  if (!customerIndexMemo || customerIndexMemo.lastRow !== rowIndex - 1) {
+    _invalidateCustomerIndex();
+    return;
   }
+  INDEXED_CUSTOMER_COLUMNS.forEach((columnName) => {
+    const key = _normalizeLookupValue(customer[columnName] ?? "");
+    const valueToRow = customerIndexMemo.columns[columnName];
+    if (key && valueToRow && !(key in valueToRow)) valueToRow[key] = rowIndex;
+  });
+  customerIndexMemo.lastRow = rowIndex;
+  _storeCustomerIndex(customerIndexMemo);
+}
+
+/**
+ * Drops the customer lookup index from memory and from CacheService.
+ * Must be called after any write that changes customer ids, phones, emails or row positions.
+ * @private
+ */
+function _invalidateCustomerIndex() {
+  customerIndexMemo = null;
+  CacheService.getScriptCache().remove(CUSTOMER_INDEX_CACHE_KEY);
+}
+
+/**
+ * Private helper to read a single customer row.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The "customers" sheet.
+ * @param {Array<string>} headers - The header names.
+ * @param {number} rowIndex - The 1-based row to read.
+ * @returns {Array<*>} The row values.
+ */
+function _readCustomerRow(sheet, headers, rowIndex) {
+  return sheet.getRange(rowIndex, 1, 1, headers.length).getValues()[0];
+}
+
+/**
+ * Private helper to look a value up in the customer index and read its row.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The "customers" sheet.
+ * @param {Object} index - The lookup index.
+ * @param {string} columnName - An indexed column (e.g., "phone").
+ * @param {string} normalizedValue - The value, normalized with `_normalizeLookupValue`.
+ * @returns {{customer: Object, rowIndex: number}|null} The customer and its 1-based row index, or null on a miss or when the row no longer holds the value.
+ */
+function _readIndexedCustomer(sheet, index, columnName, normalizedValue) {
+  const rowIndex = index.columns[columnName]?.[normalizedValue];
+  if (!rowIndex) return null;
+
+  const row = _readCustomerRow(sheet, index.headers, rowIndex);
+  const columnIndex = index.headers.indexOf(columnName);
+  if (_normalizeLookupValue(row[columnIndex]) !== normalizedValue) return null;
+  return {
+    customer: _rowToCustomerObject(row, index.headers),
+    rowIndex: rowIndex,
+  };
 }
 
 /**
  * Private generic helper to find a customer row by a specific column name and value.
  * This version also returns the row index, which is needed for updates.
+ * Lookups on `customer_id`, `phone` and `email` go through the cached lookup index.
  * @private
  * @param {string} columnName - The name of the column to search in (e.g., "phone").
  * @param {string|number} value - The value to search for.
@@ -76,14 +225,36 @@ function _generateNextCustomerId() {
 function _findCustomerAndIndexBy(columnName, value) {
   try {
     const sheet = _getCustomersSheetOrThrow();
+    const normalizedValue = _normalizeLookupValue(value);
+
+    // Indexed columns: read only the matching row instead of the whole sheet.
+    if (INDEXED_CUSTOMER_COLUMNS.includes(columnName)) {
+      const index = _getCustomerIndex(sheet);
+      if (!index.columns[columnName]?.[normalizedValue]) return null;
+      const match = _readIndexedCustomer(
+        sheet,
+        index,
+        columnName,
+        normalizedValue,
+      );
+      if (match) return match;
+
+      // The row was edited by hand since the index was built; rebuild it once.
+      _invalidateCustomerIndex();
+      return _readIndexedCustomer(
+        sheet,
+        _getCustomerIndex(sheet),
+        columnName,
+        normalizedValue,
+      );
+    }
+
     const data = sheet.getDataRange().getValues();
     const headers = data.shift(); // Remove headers from data and store them
 
     const columnIndex = headers.indexOf(columnName);
     if (columnIndex === -1) return null; // Column not found
 
-    const normalizedValue = String(value).trim().toLowerCase();
-
     // Start from the second row (index 1) since the first is the header.
     for (let i = 0; i < data.length; i++) {
       const row = data[i];
@@ -120,14 +291,14 @@ function _findCustomerBy(columnName, value) {
  * Validates and cleans a phone number string.
  * @private
  * @param {string} phone - The raw phone number input to validate.
- * @returns {{success: boolean, value: string|null}} An object where `success` is true if the phone has 10 digits after cleaning, and `value` is the cleaned number or null.
+ * @returns {{success: boolean, value: string|null}} An object where `success` is true if the phone has `phone_digits` digits (10 by default) after cleaning, and `value` is the cleaned number or null.
  */
 function _phoneValidator(phone) {
   if (!phone || typeof phone !== "string") {
     return { success: false, value: null };
   }
   const digitsOnly = phone.replace(NON_DIGITS_REGEX, "");
-  return digitsOnly.length === 10
+  return digitsOnly.length === _getSetting("phone_digits")
     ? { success: true, value: digitsOnly }
     : { success: false, value: null };
 }
@@ -148,6 +319,112 @@ function _emailValidator(email) {
     : { success: false, value: null };
 }
 
+/**
+ * Normalizes text for searching: lowercase, trimmed and without accents ("García" -> "garcia").
+ * @private
+ * @param {*} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+function _normalizeSearchText(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(DIACRITICS_REGEX, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @private
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The minimum number of single-character edits to turn `a` into `b`.
+ */
+function _editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a single query word matches a single name word.
+ * Exact matches rank highest, then prefixes, substrings and finally typos.
+ * @private
+ * @param {string} queryToken - A normalized query word.
+ * @param {string} nameToken - A normalized name word.
+ * @returns {number} A score from 0 (no match) to 100 (exact match).
+ */
+function _scoreNameToken(queryToken, nameToken) {
+  if (!queryToken || !nameToken) return 0;
+  if (nameToken === queryToken) return 100;
+  if (nameToken.startsWith(queryToken)) return 80;
+  if (nameToken.includes(queryToken)) return 60;
+
+  // Tolerate one typo in short words and two in longer ones. Very short
+  // words would match almost anything, so they need a literal match.
+  if (queryToken.length < 3) return 0;
+  const maxDistance = queryToken.length <= 5 ? 1 : 2;
+  const distance = _editDistance(queryToken, nameToken);
+  return distance <= maxDistance ? 40 - distance * 10 : 0;
+}
+
+/**
+ * Scores a customer against a search query on first name, last name, full name and phone.
+ * Every word of the query must match some part of the name.
+ * @private
+ * @param {Object} customer - The customer object.
+ * @param {string} normalizedQuery - The normalized query.
+ * @param {string} queryDigits - The digits of the query, used for partial phone matches.
+ * @returns {number} A score from 0 (no match) to 100 (exact match).
+ */
+function _scoreCustomerMatch(customer, normalizedQuery, queryDigits) {
+  const fullName = _normalizeSearchText(
+    `${customer.first_name} ${customer.last_name}`,
+  );
+
+  let phoneScore = 0;
+  if (queryDigits.length >= MIN_PHONE_QUERY_DIGITS) {
+    const phone = String(customer.phone);
+    if (phone === queryDigits) phoneScore = 100;
+    else if (phone.startsWith(queryDigits) || phone.endsWith(queryDigits)) {
+      phoneScore = 80;
+    } else if (phone.includes(queryDigits)) phoneScore = 60;
+  }
+
+  if (fullName === normalizedQuery) return 100;
+
+  const nameTokens = fullName.split(/\s+/);
+  const queryTokens = normalizedQuery.split(/\s+/).filter(Boolean);
+  let nameScore = 0;
+  if (queryTokens.length > 0) {
+    const tokenScores = queryTokens.map((queryToken) =>
+      Math.max(
+        ...nameTokens.map((nameToken) =>
+          _scoreNameToken(queryToken, nameToken),
+        ),
+      ),
+    );
+    if (tokenScores.every((score) => score > 0)) {
+      nameScore = Math.round(
+        tokenScores.reduce((sum, score) => sum + score, 0) /
+          tokenScores.length,
+      );
+    }
+  }
+
+  return Math.max(nameScore, phoneScore);
+}
+
 /**
  * Retrieves the "customers" sheet or throws a critical error if it's not found.
  * @private
@@ -165,9 +442,25 @@ function _getCustomersSheetOrThrow() {
   return sheet;
 }
 
+/**
+ * Private helper to resolve the credit limit that applies to a customer:
+ * their own `credit_limit`, or the `default_credit_limit` setting when empty.
+ * @private
+ * @param {Object} customer - The customer object.
+ * @returns {number|null} The credit limit, or null if the customer has no limit.
+ */
+function _getCustomerCreditLimit(customer) {
+  const own = customer.credit_limit;
+  if (own === undefined || own === null || own === "") {
+    return _getSetting("default_credit_limit");
+  }
+  const cleanLimit = Number(own);
+  return isFinite(cleanLimit) && cleanLimit >= 0 ? cleanLimit : null;
+}
+
 // ================ CORE FUNCTIONS ================
 /**
- * Finds a customer by their 10-digit phone number.
+ * Finds a customer by their phone number.
  * @param {string} phone The phone number to search for.
  * @returns {Object|null} A customer object if found, otherwise null.
  */
@@ -216,12 +509,73 @@ function getAllCustomers() {
   }
 }
 
+/**
+ * Searches customers by first name, last name, full name or partial phone.
+ * Matching ignores case and accents and tolerates small typos. Results are
+ * ranked by relevance (best first) and paginated.
+ * @param {Object} searchData - The search options.
+ * @param {string} searchData.query - The text to search for (e.g., "garcia", "mari", "4567").
+ * @param {number} [searchData.limit=20] - Maximum number of results to return (up to 100).
+ * @param {number} [searchData.offset=0] - Number of ranked results to skip.
+ * @returns {{success: boolean, total: number, limit: number, offset: number, results: Array<Object>}|{success: boolean, error: string}} A page of matching customers, each with a `score`, on success, or an error message on failure.
+ */
+function searchCustomers({ query, limit, offset }) {
+  try {
+    const normalizedQuery = _normalizeSearchText(query);
+    if (!normalizedQuery) {
+      throw new Error("Field 'query' is required");
+    }
+
+    const cleanLimit =
+      limit === undefined || limit === null || limit === ""
+        ? DEFAULT_SEARCH_LIMIT
+        : Number(limit);
+    if (!Number.isInteger(cleanLimit) || cleanLimit <= 0) {
+      throw new Error("Field 'limit' must be a positive integer");
+    }
+    const cleanOffset =
+      offset === undefined || offset === null || offset === ""
+        ? 0
+        : Number(offset);
+    if (!Number.isInteger(cleanOffset) || cleanOffset < 0) {
+      throw new Error("Field 'offset' must be zero or a positive integer");
+    }
+    const pageSize = Math.min(cleanLimit, MAX_SEARCH_LIMIT);
+
+    const queryDigits = normalizedQuery.replace(NON_DIGITS_REGEX, "");
+    const matches = getAllCustomers()
+      .map((customer) => ({
+        ...customer,
+        score: _scoreCustomerMatch(customer, normalizedQuery, queryDigits),
+      }))
+      .filter((customer) => customer.score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          _normalizeSearchText(a.last_name).localeCompare(
+            _normalizeSearchText(b.last_name),
+          ),
+      );
+
+    return {
+      success: true,
+      total: matches.length,
+      limit: pageSize,
+      offset: cleanOffset,
+      results: matches.slice(cleanOffset, cleanOffset + pageSize),
+    };
+  } catch (error) {
+    _logError("searchCustomers", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
 /**
  * Registers a new customer by adding a new row to the sheet.
  * @param {Object} customerData - The customer's information.
  * @param {string} customerData.first_name - The customer's first name.
  * @param {string} customerData.last_name - The customer's last name.
- * @param {string} customerData.phone - The customer's 10-digit phone number.
+ * @param {string} customerData.phone - The customer's phone number, with `phone_digits` digits.
  * @param {string} [customerData.email] - The customer's optional email address.
  * @returns {{success: boolean, customer: Object}|{success: boolean, error: string}} An object containing the new customer record on success, or an error message on failure.
  */
@@ -241,7 +595,9 @@ function registerCustomer({ first_name, last_name, phone, email }) {
     // 2. Validate phone and email formats
     const phoneValidation = _phoneValidator(phone);
     if (!phoneValidation.success) {
-      throw new Error("Phone number must be 10 digits");
+      throw new Error(
+        `Phone number must be ${_getSetting("phone_digits")} digits`,
+      );
     }
     const normalizedPhone = phoneValidation.value;
 
@@ -256,10 +612,16 @@ function registerCustomer({ first_name, last_name, phone, email }) {
 
     // 3. Check for duplicates
     if (findCustomerByPhone(normalizedPhone)) {
-      throw new Error("Customer with this phone number already exists");
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        "Customer with this phone number already exists",
+      );
     }
     if (normalizedEmail && findCustomerByEmail(normalizedEmail)) {
-      throw new Error("Customer with this email already exists");
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        "Customer with this email already exists",
+      );
     }
 
     // 4. Create new customer record
@@ -281,13 +643,14 @@ function registerCustomer({ first_name, last_name, phone, email }) {
       .getValues()[0];
     const newRow = headers.map((header) => newCustomer[header] || "");
     sheet.appendRow(newRow);
+    _addToCustomerIndex(newCustomer, sheet.getLastRow());
 
     console.log(`Customer ${customerId} registered successfully`);
 
     return { success: true, customer: newCustomer };
   } catch (error) {
     _logError("registerCustomer", error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code };
   }
 }
 
@@ -312,7 +675,10 @@ function updateCustomer(updateData) {
     // 2. Find the customer's row index.
     const customerRecord = _findCustomerAndIndexBy("customer_id", customer_id);
     if (!customerRecord) {
-      throw new Error(`Customer with ID '${customer_id}' not found.`);
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customer_id}' not found.`,
+      );
     }
 
     const sheet = _getCustomersSheetOrThrow();
@@ -339,12 +705,15 @@ function updateCustomer(updateData) {
         case "phone":
           const phoneValidation = _phoneValidator(value);
           if (!phoneValidation.success) {
-            throw new Error("Phone number must be 10 digits.");
+            throw new Error(
+              `Phone number must be ${_getSetting("phone_digits")} digits.`,
+            );
           }
           const duplicatePhone = findCustomerByPhone(phoneValidation.value);
           // Check for a duplicate phone that doesn't belong to the current customer.
           if (duplicatePhone && duplicatePhone.customer_id !== customer_id) {
-            throw new Error(
+            throw _createError(
+              ERROR_CODES.CONFLICT,
               `Phone number '${phoneValidation.value}' already exists.`,
             );
           }
@@ -358,7 +727,10 @@ function updateCustomer(updateData) {
           const duplicateEmail = findCustomerByEmail(emailValidation.value);
           // Check for a duplicate email that doesn't belong to the current customer.
           if (duplicateEmail && duplicateEmail.customer_id !== customer_id) {
-            throw new Error(`Email '${emailValidation.value}' already exists.`);
+            throw _createError(
+              ERROR_CODES.CONFLICT,
+              `Email '${emailValidation.value}' already exists.`,
+            );
           }
           updatedCustomer[key] = emailValidation.value;
           break;
@@ -370,14 +742,69 @@ function updateCustomer(updateData) {
     }
 
     // 4. Update the spreadsheet row with the new values.
-    const newRowData = headers.map((header) => updatedCustomer[header] || "");
+    const newRowData = headers.map((header) =>
+      updatedCustomer[header] === undefined ? "" : updatedCustomer[header],
+    );
     sheet.getRange(rowIndex, 1, 1, headers.length).setValues([newRowData]);
+    _invalidateCustomerIndex();
 
     console.log(`Customer ${customer_id} updated successfully.`);
 
     return { success: true, customer: updatedCustomer };
   } catch (error) {
     _logError("updateCustomer", error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Sets the credit limit of a customer: the most they can owe across all
+ * unpaid and partially paid sales.
+ * @param {Object} limitData - The credit limit information.
+ * @param {string} limitData.customer_id - The ID of the customer.
+ * @param {number|string} [limitData.credit_limit] - The new limit. 0 allows no credit; empty falls back to the `default_credit_limit` setting.
+ * @returns {{success: boolean, customer: Object}|{success: boolean, error: string}} The updated customer on success, or an error message on failure.
+ */
+function setCustomerCreditLimit({ customer_id, credit_limit }) {
+  try {
+    if (!customer_id) {
+      throw new Error("Field 'customer_id' is required");
+    }
+
+    let cleanLimit = "";
+    if (credit_limit !== undefined && credit_limit !== null && credit_limit !== "") {
+      cleanLimit = Number(credit_limit);
+      if (!isFinite(cleanLimit) || cleanLimit < 0) {
+        throw new Error("Field 'credit_limit' must be zero or a positive number");
+      }
+    }
+
+    const customerRecord = _findCustomerAndIndexBy("customer_id", customer_id);
+    if (!customerRecord) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customer_id}' not found`,
+      );
+    }
+
+    // Customer sheets created before credit limits lack the column.
+    const sheet = _getCustomersSheetOrThrow();
+    _ensureSheetColumns(sheet, ["credit_limit"]);
+    const headers = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    sheet
+      .getRange(customerRecord.rowIndex, headers.indexOf("credit_limit") + 1)
+      .setValue(cleanLimit);
+    _invalidateCustomerIndex();
+
+    console.log(`Credit limit of ${customer_id} set to '${cleanLimit}'`);
+    return {
+      success: true,
+      customer: { ...customerRecord.customer, credit_limit: cleanLimit },
+    };
+  } catch (error) {
+    _logError("setCustomerCreditLimit", error);
+    return { success: false, error: error.message, code: error.code };
   }
 }
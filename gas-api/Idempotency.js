@@ -0,0 +1,189 @@
+/**
+ * Idempotency Keys
+ * Lets clients safely retry POST requests. The first response for an
+ * `idempotency_key` is stored in CacheService and in the `idempotency_keys`
+ * sheet; repeats within the configured window replay it instead of running
+ * the action again.
+ */
+
+// ===  Constants  ===
+const IDEMPOTENCY_SHEET_NAME = "idempotency_keys";
+const IDEMPOTENCY_CACHE_PREFIX = "idem:";
+const MAX_CACHE_TTL_SECONDS = 21600; // CacheService limit (6 hours)
+/** Error codes that describe a transient failure. Their responses are never stored, so a retry runs again. */
+const RETRYABLE_ERROR_CODES = ["BUSY", "INTERNAL_ERROR"];
+const MAX_CELL_LENGTH = 50000; // Sheets limit per cell
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `idempotency_keys` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The idempotency sheet.
+ */
+function _getIdempotencySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(IDEMPOTENCY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(IDEMPOTENCY_SHEET_NAME);
+    sheet.appendRow(["storage_key", "action", "response", "created_at"]);
+    console.log("Sheet `idempotency_keys` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to read the replay window from `settings`.
+ * @private
+ * @returns {number} The window in milliseconds.
+ */
+function _getIdempotencyWindowMs() {
+  return _getSetting("idempotency_window_hours") * 60 * 60 * 1000;
+}
+
+/**
+ * Private helper to find a stored response for an idempotency key.
+ * The cache is checked first; the sheet is the fallback once the cache entry expires.
+ * @private
+ * @param {string} storageKey - The caller-scoped idempotency key.
+ * @returns {{action: string, response: Object}|null} The stored entry if it is within the window, otherwise null.
+ */
+function _findIdempotentResponse(storageKey) {
+  const cached = CacheService.getScriptCache().get(
+    IDEMPOTENCY_CACHE_PREFIX + storageKey,
+  );
+  if (cached) return JSON.parse(cached);
+
+  const data = _getIdempotencySheet().getDataRange().getValues();
+  const oldestAllowed = Date.now() - _getIdempotencyWindowMs();
+  for (let i = data.length - 1; i >= 1; i--) {
+    const [key, action, response, createdAt] = data[i];
+    if (key !== storageKey) continue;
+    if (new Date(createdAt).getTime() < oldestAllowed) return null;
+    return { action: action, response: JSON.parse(response) };
+  }
+  return null;
+}
+
+/**
+ * Private helper to serialize a response for the `response` column.
+ * Responses too long for a cell are stored as a marker that keeps `success`
+ * but drops `data`, so a retry still replays instead of running again.
+ * @private
+ * @param {Object} response - The response envelope.
+ * @returns {string} The JSON to store.
+ */
+function _serializeStoredResponse(response) {
+  const serialized = JSON.stringify(response);
+  if (serialized.length <= MAX_CELL_LENGTH) return serialized;
+  return JSON.stringify({
+    success: response.success,
+    data: null,
+    truncated: true,
+  });
+}
+
+/**
+ * Private helper to store the response for an idempotency key.
+ * The action has already run, so storage failures are logged, not thrown.
+ * @private
+ * @param {string} storageKey - The caller-scoped idempotency key.
+ * @param {string} action - The action name the key was used with.
+ * @param {Object} response - The response envelope to replay.
+ */
+function _storeIdempotentResponse(storageKey, action, response) {
+  const entry = { action: action, response: response };
+  const ttlSeconds = Math.min(
+    Math.floor(_getIdempotencyWindowMs() / 1000),
+    MAX_CACHE_TTL_SECONDS,
+  );
+  try {
+    CacheService.getScriptCache().put(
+      IDEMPOTENCY_CACHE_PREFIX + storageKey,
+      JSON.stringify(entry),
+      ttlSeconds,
+    );
+  } catch (error) {
+    // Values over 100KB do not fit in the cache; the sheet still has them.
+    _logError("_storeIdempotentResponse", error);
+  }
+  try {
+    _getIdempotencySheet().appendRow([
+      storageKey,
+      action,
+      _serializeStoredResponse(response),
+      new Date().toISOString(),
+    ]);
+  } catch (error) {
+    _logError("_storeIdempotentResponse", error);
+  }
+}
+
+/**
+ * Runs an action at most once per idempotency key.
+ * Keys are scoped to the calling API key, so two clients cannot collide.
+ * @private
+ * @param {string} idempotencyKey - The client-provided key.
+ * @param {string} action - The requested action name.
+ * @param {Object|null} caller - The authenticated API key record.
+ * @param {function(): Object} execute - Runs the action and returns its response envelope.
+ * @returns {Object} The original response (with `replayed: true`) or the new one.
+ */
+function _runIdempotent(idempotencyKey, action, caller, execute) {
+  const storageKey = `${caller ? caller.key_id : "anonymous"}:${idempotencyKey}`;
+
+  // Lookup, execution and storage must not interleave with a concurrent retry.
+  return _withScriptLock(() => {
+    const stored = _findIdempotentResponse(storageKey);
+    if (stored) {
+      if (stored.action !== action) {
+        return _errorEnvelope(
+          ERROR_CODES.CONFLICT,
+          `Idempotency key '${idempotencyKey}' was already used for action '${stored.action}'.`,
+        );
+      }
+      return { ...stored.response, replayed: true };
+    }
+
+    const response = execute();
+    if (response.success || !RETRYABLE_ERROR_CODES.includes(response.code)) {
+      _storeIdempotentResponse(storageKey, action, response);
+    }
+    return response;
+  });
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Deletes idempotency entries older than the configured window from the sheet.
+ * Cache entries expire by themselves.
+ * @returns {{success: boolean, removed: number}|{success: boolean, error: string}} The number of removed entries on success, or an error message on failure.
+ */
+function purgeExpiredIdempotencyKeys() {
+  try {
+    const sheet = _getIdempotencySheet();
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const createdIdx = headers.indexOf("created_at");
+    const oldestAllowed = Date.now() - _getIdempotencyWindowMs();
+
+    const kept = data.filter(
+      (row) => new Date(row[createdIdx]).getTime() >= oldestAllowed,
+    );
+    const removed = data.length - kept.length;
+    if (removed > 0) {
+      sheet.clearContents();
+      sheet.appendRow(headers);
+      if (kept.length > 0) {
+        sheet.getRange(2, 1, kept.length, headers.length).setValues(kept);
+      }
+    }
+
+    console.log(`Purged ${removed} expired idempotency keys`);
+    return { success: true, removed: removed };
+  } catch (error) {
+    _logError("purgeExpiredIdempotencyKeys", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,424 @@
+/**
+ * Scheduled Jobs
+ * Recurring maintenance tasks run by installable time-driven triggers.
+ * Each job has a global entry point (triggers can only call top-level
+ * functions) and a default schedule; admins install, list and remove the
+ * triggers through the API. Every run is recorded in the `job_runs` sheet
+ * with its outcome and duration.
+ */
+
+// ===  Constants  ===
+const JOB_RUNS_SHEET_NAME = "job_runs";
+const JOB_RUN_STATUS = {
+  SUCCESS: "success",
+  FAILED: "failed",
+};
+const WEEK_DAYS = [
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+  "SUNDAY",
+];
+
+/**
+ * The scheduled jobs. `handler` is the global function the trigger calls;
+ * `schedule` is the default, which `installJob` options can override.
+ * @type {Object<string, {description: string, handler: string, schedule: Object, run: function(): string}>}
+ */
+const JOBS = {
+  refresh_sales_summary: {
+    description: "Rebuilds the sales_summary sheet",
+    handler: "jobRefreshSalesSummary",
+    schedule: { every_hours: 1 },
+    run: () => {
+      updateSalesSummary();
+      return "Sales summary updated";
+    },
+  },
+  create_next_month_sheet: {
+    description: "Creates next month's sales sheet ahead of the first sale",
+    handler: "jobCreateNextMonthSheet",
+    schedule: { month_day: 25, at_hour: 23 },
+    run: () => {
+      const now = new Date();
+      const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+      const sheet = _getSalesSheetForMonth(
+        _formatSaleDate(nextMonth, "yyyy-MM"),
+      );
+      return `Sheet ${sheet.getName()} ready`;
+    },
+  },
+  send_payment_reminders: {
+    description:
+      "Drafts payment reminder emails to customers with a pending balance",
+    handler: "jobSendPaymentReminders",
+    schedule: { week_day: "MONDAY", at_hour: 9 },
+    run: () => {
+      const result = sendPaymentReminders({
+        channel: REMINDER_CHANNELS.EMAIL,
+        performed_by: "job",
+      });
+      if (!result.success) throw new Error(result.error);
+      return `${result.reminders.length} reminders drafted, ${result.skipped.length} skipped`;
+    },
+  },
+  purge_idempotency_keys: {
+    description: "Deletes expired idempotency keys",
+    handler: "jobPurgeIdempotencyKeys",
+    schedule: { at_hour: 3 },
+    run: () => {
+      const result = purgeExpiredIdempotencyKeys();
+      if (!result.success) throw new Error(result.error);
+      return `${result.removed} expired keys removed`;
+    },
+  },
+};
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `job_runs` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The job runs sheet.
+ */
+function _getJobRunsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(JOB_RUNS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(JOB_RUNS_SHEET_NAME);
+    sheet.appendRow([
+      "run_id",
+      "job",
+      "triggered_by",
+      "started_at",
+      "finished_at",
+      "duration_ms",
+      "status",
+      "message",
+    ]);
+    console.log("Sheet `job_runs` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to read the `job_runs` sheet without creating it, so that
+ * listing jobs never changes the spreadsheet.
+ * @private
+ * @returns {Array<Array>} The sheet values including the header row, or an empty array if the sheet does not exist yet.
+ */
+function _readJobRunsData() {
+  const sheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOB_RUNS_SHEET_NAME);
+  return sheet ? sheet.getDataRange().getValues() : [];
+}
+
+/**
+ * Private helper to look up a job by name.
+ * @private
+ * @param {string} jobName - The job name (e.g., "refresh_sales_summary").
+ * @throws {Error} If the name is missing or unknown.
+ * @returns {Object} The job definition from `JOBS`.
+ */
+function _getJobOrThrow(jobName) {
+  if (!jobName) throw new Error("Field 'job' is required");
+  const job = JOBS[jobName];
+  if (!job) {
+    throw _createError(
+      ERROR_CODES.NOT_FOUND,
+      `Unknown job '${jobName}'. Use one of: ${Object.keys(JOBS).join(", ")}`,
+    );
+  }
+  return job;
+}
+
+/**
+ * Private helper to merge and validate a job schedule.
+ * A schedule has either `every_hours`, or an `at_hour` with an optional
+ * `week_day` (weekly) or `month_day` (monthly); `at_hour` alone runs daily.
+ * Overrides of a different kind replace the default instead of merging with
+ * it: `every_hours` turns a daily job hourly, while `at_hour`, `week_day` or
+ * `month_day` turn an hourly job daily, weekly or monthly. Overrides that mix
+ * kinds are rejected.
+ * @private
+ * @param {Object} defaults - The job's default schedule.
+ * @param {Object} [overrides] - `every_hours`, `at_hour`, `week_day` or `month_day` to change.
+ * @throws {Error} If a value is out of range, or the overrides mix schedule kinds.
+ * @returns {Object} The schedule to install.
+ */
+function _resolveJobSchedule(defaults, overrides = {}) {
+  const given = {};
+  ["every_hours", "at_hour", "week_day", "month_day"].forEach((field) => {
+    const value = overrides[field];
+    if (value !== undefined && value !== null && value !== "") {
+      given[field] = value;
+    }
+  });
+  if (
+    given.every_hours !== undefined &&
+    ["at_hour", "week_day", "month_day"].some((field) => field in given)
+  ) {
+    throw new Error(
+      "Field 'every_hours' cannot be combined with 'at_hour', 'week_day' or 'month_day'",
+    );
+  }
+  if (given.week_day !== undefined && given.month_day !== undefined) {
+    throw new Error("Fields 'week_day' and 'month_day' cannot be combined");
+  }
+
+  let schedule = { ...defaults };
+  if (given.every_hours !== undefined) {
+    schedule = {};
+  } else if (Object.keys(given).length > 0) {
+    delete schedule.every_hours;
+    if (given.week_day !== undefined) delete schedule.month_day;
+    if (given.month_day !== undefined) delete schedule.week_day;
+  }
+  Object.assign(schedule, given);
+
+  if (schedule.every_hours !== undefined) {
+    if (![1, 2, 4, 6, 8, 12].includes(Number(schedule.every_hours))) {
+      throw new Error("Field 'every_hours' must be 1, 2, 4, 6, 8 or 12");
+    }
+    return { every_hours: Number(schedule.every_hours) };
+  }
+
+  const atHour = Number(schedule.at_hour);
+  if (!Number.isInteger(atHour) || atHour < 0 || atHour > 23) {
+    throw new Error("Field 'at_hour' must be an integer from 0 to 23");
+  }
+  if (schedule.week_day !== undefined) {
+    const weekDay = String(schedule.week_day).toUpperCase();
+    if (!WEEK_DAYS.includes(weekDay)) {
+      throw new Error(`Field 'week_day' must be one of: ${WEEK_DAYS.join(", ")}`);
+    }
+    return { week_day: weekDay, at_hour: atHour };
+  }
+  if (schedule.month_day !== undefined) {
+    const monthDay = Number(schedule.month_day);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 28) {
+      throw new Error("Field 'month_day' must be an integer from 1 to 28");
+    }
+    return { month_day: monthDay, at_hour: atHour };
+  }
+  return { at_hour: atHour };
+}
+
+/**
+ * Private helper to create a time-driven trigger for a schedule.
+ * @private
+ * @param {string} handler - The global function to call.
+ * @param {Object} schedule - A schedule from `_resolveJobSchedule`.
+ * @returns {GoogleAppsScript.Script.Trigger} The new trigger.
+ */
+function _createJobTrigger(handler, schedule) {
+  const builder = ScriptApp.newTrigger(handler).timeBased();
+  if (schedule.every_hours) {
+    return builder.everyHours(schedule.every_hours).create();
+  }
+  if (schedule.week_day) {
+    return builder
+      .onWeekDay(ScriptApp.WeekDay[schedule.week_day])
+      .atHour(schedule.at_hour)
+      .create();
+  }
+  if (schedule.month_day) {
+    return builder
+      .onMonthDay(schedule.month_day)
+      .atHour(schedule.at_hour)
+      .create();
+  }
+  return builder.everyDays(1).atHour(schedule.at_hour).create();
+}
+
+/**
+ * Private helper to find the project triggers that call a handler.
+ * @private
+ * @param {string} handler - The global function name.
+ * @returns {Array<GoogleAppsScript.Script.Trigger>} The matching triggers.
+ */
+function _findJobTriggers(handler) {
+  return ScriptApp.getProjectTriggers().filter(
+    (trigger) => trigger.getHandlerFunction() === handler,
+  );
+}
+
+/**
+ * Private helper to run a job and record the run in `job_runs`.
+ * Failures are recorded, not thrown, so a trigger run never ends in an
+ * unlogged error.
+ * @private
+ * @param {string} jobName - The job name.
+ * @param {string} triggeredBy - "trigger", or who started the run manually.
+ * @returns {Object} The recorded run.
+ */
+function _runJob(jobName, triggeredBy) {
+  const job = _getJobOrThrow(jobName);
+  const startedAt = new Date();
+  let status = JOB_RUN_STATUS.SUCCESS;
+  let message;
+  try {
+    message = _withScriptLock(() => job.run());
+  } catch (error) {
+    _logError(`job ${jobName}`, error);
+    status = JOB_RUN_STATUS.FAILED;
+    message = error.message;
+  }
+  const finishedAt = new Date();
+
+  const nextIdNum = _incrementSettingsCounter("last_job_run_id_number");
+  const run = {
+    run_id: `J${String(nextIdNum).padStart(5, "0")}`,
+    job: jobName,
+    triggered_by: triggeredBy,
+    started_at: _formatSaleDate(startedAt),
+    finished_at: _formatSaleDate(finishedAt),
+    duration_ms: finishedAt.getTime() - startedAt.getTime(),
+    status: status,
+    message: message || "",
+  };
+  const sheet = _getJobRunsSheet();
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  sheet.appendRow(
+    headers.map((header) => (run[header] === undefined ? "" : run[header])),
+  );
+
+  console.log(`Job ${jobName} ${status} in ${run.duration_ms} ms`);
+  return run;
+}
+
+// ================ TRIGGER ENTRY POINTS ================
+
+/** Trigger entry point for the `refresh_sales_summary` job. */
+function jobRefreshSalesSummary() {
+  _runJob("refresh_sales_summary", "trigger");
+}
+
+/** Trigger entry point for the `create_next_month_sheet` job. */
+function jobCreateNextMonthSheet() {
+  _runJob("create_next_month_sheet", "trigger");
+}
+
+/** Trigger entry point for the `send_payment_reminders` job. */
+function jobSendPaymentReminders() {
+  _runJob("send_payment_reminders", "trigger");
+}
+
+/** Trigger entry point for the `purge_idempotency_keys` job. */
+function jobPurgeIdempotencyKeys() {
+  _runJob("purge_idempotency_keys", "trigger");
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Lists the scheduled jobs with their installed triggers and last run.
+ * @returns {{success: boolean, jobs: Array<{job: string, description: string, handler: string, default_schedule: Object, installed: boolean, trigger_ids: Array<string>, last_run: Object|null}>}|{success: boolean, error: string}} The jobs on success, or an error message on failure.
+ */
+function getJobs() {
+  try {
+    const data = _readJobRunsData();
+    const headers = data.shift() || [];
+    const lastRuns = {};
+    data.forEach((row) => {
+      const run = {};
+      headers.forEach((header, index) => {
+        run[header] = row[index];
+      });
+      lastRuns[run.job] = run;
+    });
+
+    const jobs = Object.entries(JOBS).map(([name, job]) => {
+      const triggers = _findJobTriggers(job.handler);
+      return {
+        job: name,
+        description: job.description,
+        handler: job.handler,
+        default_schedule: job.schedule,
+        installed: triggers.length > 0,
+        trigger_ids: triggers.map((trigger) => trigger.getUniqueId()),
+        last_run: lastRuns[name] || null,
+      };
+    });
+    return { success: true, jobs: jobs };
+  } catch (error) {
+    _logError("getJobs", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Installs the time-driven trigger of a job, replacing any trigger it already has.
+ * @param {Object} jobData - The job to install.
+ * @param {string} jobData.job - The job name, one of the keys of `JOBS`.
+ * @param {number} [jobData.every_hours] - Run every 1, 2, 4, 6, 8 or 12 hours.
+ * @param {number} [jobData.at_hour] - Hour of the day (0-23, script time zone) for daily, weekly and monthly jobs.
+ * @param {string} [jobData.week_day] - Day of the week for weekly jobs (e.g., "MONDAY").
+ * @param {number} [jobData.month_day] - Day of the month (1-28) for monthly jobs.
+ * @returns {{success: boolean, job: string, schedule: Object, trigger_id: string}|{success: boolean, error: string}} The installed schedule on success, or an error message on failure.
+ */
+function installJob({ job, ...overrides }) {
+  try {
+    const definition = _getJobOrThrow(job);
+    const schedule = _resolveJobSchedule(definition.schedule, overrides);
+
+    _findJobTriggers(definition.handler).forEach((trigger) =>
+      ScriptApp.deleteTrigger(trigger),
+    );
+    const trigger = _createJobTrigger(definition.handler, schedule);
+
+    console.log(`Job ${job} installed`);
+    return {
+      success: true,
+      job: job,
+      schedule: schedule,
+      trigger_id: trigger.getUniqueId(),
+    };
+  } catch (error) {
+    _logError("installJob", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Removes the time-driven triggers of a job. Its run history is kept.
+ * @param {Object} jobData - The job to remove.
+ * @param {string} jobData.job - The job name.
+ * @returns {{success: boolean, job: string, removed: number}|{success: boolean, error: string}} The number of removed triggers on success, or an error message on failure.
+ */
+function removeJob({ job }) {
+  try {
+    const definition = _getJobOrThrow(job);
+    const triggers = _findJobTriggers(definition.handler);
+    triggers.forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+
+    console.log(`Job ${job} removed (${triggers.length} triggers)`);
+    return { success: true, job: job, removed: triggers.length };
+  } catch (error) {
+    _logError("removeJob", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Runs a job immediately, outside its schedule. The run is recorded in
+ * `job_runs` like a scheduled one.
+ * @param {Object} jobData - The job to run.
+ * @param {string} jobData.job - The job name.
+ * @param {string} [jobData.performed_by] - Who started the run.
+ * @returns {{success: boolean, run: Object}|{success: boolean, error: string}} The recorded run on success (check `run.status`), or an error message on failure.
+ */
+function runJobNow({ job, performed_by }) {
+  try {
+    const run = _runJob(job, performed_by || "manual");
+    return { success: true, run: run };
+  } catch (error) {
+    _logError("runJobNow", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
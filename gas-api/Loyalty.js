@@ -0,0 +1,284 @@
+/**
+ * Loyalty Functions
+ * Stamp card program: every unit of the loyalty product bought at full or
+ * discounted price earns one stamp, and each `loyalty_stamps_per_reward`
+ * stamps can be redeemed for a free unit. Stamps are kept in the
+ * `loyalty_ledger` sheet, one row per purchase, redemption or reversal.
+ */
+
+// ===  Constants  ===
+const LOYALTY_SHEET_NAME = "loyalty_ledger";
+const LOYALTY_ENTRY_TYPES = {
+  PURCHASE: "purchase",
+  REDEMPTION: "redemption",
+  REVERSAL: "reversal",
+};
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `loyalty_ledger` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The loyalty ledger sheet.
+ */
+function _getLoyaltySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(LOYALTY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(LOYALTY_SHEET_NAME);
+    sheet.appendRow([
+      "entry_id",
+      "customer_id",
+      "type",
+      "stamps",
+      "sale_id",
+      "sales_sheet",
+      "created_at",
+    ]);
+    console.log("Sheet `loyalty_ledger` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to convert a spreadsheet row to a loyalty entry object.
+ * @private
+ * @param {Array} row - The array of cell values for a single entry.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A loyalty entry object with key-value pairs.
+ */
+function _rowToLoyaltyEntryObject(row, headers) {
+  const entry = {};
+  headers.forEach((header, index) => {
+    entry[header] = row[index];
+  });
+  return entry;
+}
+
+/**
+ * Private helper to read the program settings.
+ * @private
+ * @returns {{sku: string, stamps_per_reward: number}} The stamped product and the stamps needed per reward.
+ */
+function _getLoyaltySettings() {
+  return {
+    sku: _getSetting("loyalty_sku") || _getSetting("default_sku"),
+    stamps_per_reward: _getSetting("loyalty_stamps_per_reward"),
+  };
+}
+
+/**
+ * Private helper to append an entry to the loyalty ledger.
+ * @private
+ * @param {Object} entry - The entry fields (`customer_id`, `type`, `stamps`, `sale_id`, `sales_sheet`).
+ * @returns {Object} The stored entry, with its generated `entry_id` and `created_at`.
+ */
+function _appendLoyaltyEntry(entry) {
+  const sheet = _getLoyaltySheet();
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const nextIdNum = _incrementSettingsCounter("last_loyalty_entry_id_number");
+  const record = {
+    entry_id: `L${String(nextIdNum).padStart(5, "0")}`,
+    ...entry,
+    created_at: _formatSaleDate(new Date()),
+  };
+  sheet.appendRow(
+    headers.map((header) => (record[header] === undefined ? "" : record[header])),
+  );
+  return record;
+}
+
+/**
+ * Private helper to read a customer's loyalty entries.
+ * @private
+ * @param {string} customerId - The customer ID.
+ * @returns {Array<Object>} The customer's entries, oldest first.
+ */
+function _getLoyaltyEntries(customerId) {
+  const data = _getLoyaltySheet().getDataRange().getValues();
+  const headers = data.shift();
+  return data
+    .map((row) => _rowToLoyaltyEntryObject(row, headers))
+    .filter((entry) => entry.customer_id === customerId);
+}
+
+/**
+ * Private helper to summarize a customer's stamp card.
+ * @private
+ * @param {string} customerId - The customer ID.
+ * @returns {Object} The loyalty status (see `getLoyaltyStatus`).
+ */
+function _calculateLoyaltyStatus(customerId) {
+  const settings = _getLoyaltySettings();
+  const entries = _getLoyaltyEntries(customerId);
+  const reversedSales = new Set(
+    entries
+      .filter((entry) => entry.type === LOYALTY_ENTRY_TYPES.REVERSAL)
+      .map((entry) => entry.sale_id),
+  );
+
+  const stamps = entries.reduce(
+    (sum, entry) => sum + (Number(entry.stamps) || 0),
+    0,
+  );
+  // A reversal after a redemption can leave the card below zero.
+  const progress = stamps >= 0 ? stamps % settings.stamps_per_reward : stamps;
+  const rewardsRedeemed = entries.filter(
+    (entry) =>
+      entry.type === LOYALTY_ENTRY_TYPES.REDEMPTION &&
+      !reversedSales.has(entry.sale_id),
+  ).length;
+
+  return {
+    customer_id: customerId,
+    sku: settings.sku,
+    stamps: stamps,
+    stamps_per_reward: settings.stamps_per_reward,
+    stamps_to_next_reward: settings.stamps_per_reward - progress,
+    rewards_available: Math.floor(
+      Math.max(stamps, 0) / settings.stamps_per_reward,
+    ),
+    rewards_redeemed: rewardsRedeemed,
+  };
+}
+
+/**
+ * Private helper to award stamps for the paid units of a new sale.
+ * Free units (redeemed rewards, zero-priced lines) earn no stamps.
+ * @private
+ * @param {Object} sale - The new sale record.
+ * @param {string} salesSheetName - The sales sheet name (e.g., "sales_2025_01").
+ * @param {Array<Object>} lines - The priced sale lines.
+ * @returns {Object|null} The stored ledger entry, or null if the sale earned no stamps.
+ */
+function _recordLoyaltyStamps(sale, salesSheetName, lines) {
+  const { sku } = _getLoyaltySettings();
+  const stamps = lines
+    .filter((line) => line.sku === sku && line.unit_price > 0)
+    .reduce((sum, line) => sum + line.quantity, 0);
+  if (stamps === 0) return null;
+
+  return _appendLoyaltyEntry({
+    customer_id: sale.customer_id,
+    type: LOYALTY_ENTRY_TYPES.PURCHASE,
+    stamps: stamps,
+    sale_id: sale.sale_id,
+    sales_sheet: salesSheetName,
+  });
+}
+
+/**
+ * Private helper to undo the loyalty effect of a voided or refunded sale:
+ * stamps it earned are taken back, and a reward it redeemed is given back.
+ * @private
+ * @param {Object} sale - The reversed sale record.
+ * @param {string} salesSheetName - The sales sheet name.
+ * @returns {Object|null} The stored reversal entry, or null if the sale had no loyalty effect.
+ */
+function _reverseLoyaltyStamps(sale, salesSheetName) {
+  const stamps = _getLoyaltyEntries(sale.customer_id)
+    .filter(
+      (entry) =>
+        entry.sale_id === sale.sale_id && entry.sales_sheet === salesSheetName,
+    )
+    .reduce((sum, entry) => sum + (Number(entry.stamps) || 0), 0);
+  if (stamps === 0) return null;
+
+  return _appendLoyaltyEntry({
+    customer_id: sale.customer_id,
+    type: LOYALTY_ENTRY_TYPES.REVERSAL,
+    stamps: -stamps,
+    sale_id: sale.sale_id,
+    sales_sheet: salesSheetName,
+  });
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Retrieves a customer's stamp card.
+ * @param {string} customerId - The customer ID (e.g., "C00001").
+ * @returns {{success: boolean, loyalty: {customer_id: string, sku: string, stamps: number, stamps_per_reward: number, stamps_to_next_reward: number, rewards_available: number, rewards_redeemed: number}}|{success: boolean, error: string}} The loyalty status on success, or an error message on failure.
+ */
+function getLoyaltyStatus(customerId) {
+  try {
+    if (!customerId) throw new Error("Field 'customer_id' is required");
+    if (!findCustomerById(customerId)) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customerId}' not found`,
+      );
+    }
+    return { success: true, loyalty: _calculateLoyaltyStatus(customerId) };
+  } catch (error) {
+    _logError("getLoyaltyStatus", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Redeems one reward: registers a sale of one free unit of the loyalty
+ * product, so the free item shows up in the sales ledgers like any other,
+ * and spends `stamps_per_reward` stamps.
+ * @param {Object} redeemData - The redemption information.
+ * @param {string} redeemData.customer_id - The customer redeeming the reward.
+ * @param {string} [redeemData.sale_date] - ISO-8601 date of the redemption. Defaults to now.
+ * @returns {{success: boolean, sale: Object, loyalty: Object}|{success: boolean, error: string}} The zero-priced sale and the updated loyalty status on success, or an error message on failure.
+ */
+function redeemReward({ customer_id, sale_date }) {
+  try {
+    if (!customer_id) throw new Error("Field 'customer_id' is required");
+    if (!findCustomerById(customer_id)) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customer_id}' not found`,
+      );
+    }
+
+    const status = _calculateLoyaltyStatus(customer_id);
+    if (status.rewards_available < 1) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Customer '${customer_id}' needs ${status.stamps_to_next_reward} more stamps for a reward`,
+      );
+    }
+
+    const productRecord = _findProductAndIndex(status.sku);
+    if (!productRecord) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Loyalty product '${status.sku}' not found`,
+      );
+    }
+
+    const saleDate = _parseSaleDate(sale_date);
+    const sale = _createSale({
+      customer_id: customer_id,
+      lines: [
+        {
+          sku: status.sku,
+          name: productRecord.product.name,
+          quantity: 1,
+          unit_price: 0,
+          line_total: 0,
+        },
+      ],
+      saleDate: saleDate,
+      promotion: null,
+      amount_paid: 0,
+      redeemed_stamps: status.stamps_per_reward,
+    });
+
+    console.log(`Reward redeemed by ${customer_id} with sale ${sale.sale_id}`);
+    return {
+      success: true,
+      sale: sale,
+      loyalty: _calculateLoyaltyStatus(customer_id),
+    };
+  } catch (error) {
+    _logError("redeemReward", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * Schema Migrations
+ * Brings sheets created by older versions up to the current layout.
+ * `setupSpreadsheets` only creates missing sheets; the ordered steps in
+ * `MIGRATIONS` add columns, backfill values, rename headers and create sheets
+ * in existing spreadsheets. The last applied version is kept in the
+ * `schema_version` setting, and every run can be previewed as a dry run.
+ */
+
+// ===  Constants  ===
+const SALES_SHEET_PATTERN = /^sales_\d{4}_\d{2}$/;
+const MIGRATION_STEP_TYPES = {
+  ADD_COLUMN: "add_column",
+  BACKFILL: "backfill",
+  RENAME_HEADER: "rename_header",
+  CREATE_SHEET: "create_sheet",
+};
+
+/**
+ * The schema migrations, oldest first. Versions must be consecutive.
+ * Each step targets a `sheet` by name, or every sheet matching a RegExp:
+ * - `add_column`: appends `column` when the header row lacks it.
+ * - `backfill`: fills the empty cells of `column` with `value(record)`.
+ * - `rename_header`: renames header `from` to `to`.
+ * - `create_sheet`: calls `create()` when the sheet does not exist.
+ * Steps are idempotent, so re-running a migration changes nothing.
+ * @type {Array<{version: number, description: string, steps: Array<Object>}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Add credit_limit to customers",
+    steps: [
+      {
+        type: MIGRATION_STEP_TYPES.ADD_COLUMN,
+        sheet: "customers",
+        column: "credit_limit",
+      },
+    ],
+  },
+  {
+    version: 2,
+    description: "Add promotion pricing columns to monthly sales sheets",
+    steps: [
+      {
+        type: MIGRATION_STEP_TYPES.ADD_COLUMN,
+        sheet: SALES_SHEET_PATTERN,
+        column: "gross_price",
+      },
+      {
+        type: MIGRATION_STEP_TYPES.ADD_COLUMN,
+        sheet: SALES_SHEET_PATTERN,
+        column: "discount_amount",
+      },
+      {
+        type: MIGRATION_STEP_TYPES.ADD_COLUMN,
+        sheet: SALES_SHEET_PATTERN,
+        column: "promo_id",
+      },
+      // Sales registered before promotions were never discounted.
+      {
+        type: MIGRATION_STEP_TYPES.BACKFILL,
+        sheet: SALES_SHEET_PATTERN,
+        column: "gross_price",
+        value: (sale) => sale.total_price,
+      },
+      {
+        type: MIGRATION_STEP_TYPES.BACKFILL,
+        sheet: SALES_SHEET_PATTERN,
+        column: "discount_amount",
+        value: () => 0,
+      },
+    ],
+  },
+  {
+    version: 3,
+    description: "Create the products catalog with the default product",
+    steps: [
+      {
+        type: MIGRATION_STEP_TYPES.CREATE_SHEET,
+        sheet: "products",
+        create: () => _createProductsSheetWithDefault(),
+      },
+    ],
+  },
+];
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get the version reached once every migration is applied.
+ * @private
+ * @returns {number} The latest schema version.
+ */
+function _getLatestSchemaVersion() {
+  return MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+}
+
+/**
+ * Private helper to read the applied schema version from the `settings` sheet.
+ * Spreadsheets set up before migrations existed have none and start at 0.
+ * @private
+ * @returns {number} The current schema version.
+ */
+function _getCurrentSchemaVersion() {
+  return parseInt(_getSettingValue("schema_version", 0), 10) || 0;
+}
+
+/**
+ * Private helper to list the sheets a migration step applies to.
+ * @private
+ * @param {string|RegExp} target - A sheet name, or a pattern matching sheet names.
+ * @returns {Array<GoogleAppsScript.Spreadsheet.Sheet>} The existing target sheets, sorted by name.
+ */
+function _getMigrationTargetSheets(target) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (typeof target === "string") {
+    const sheet = ss.getSheetByName(target);
+    return sheet ? [sheet] : [];
+  }
+  return ss
+    .getSheets()
+    .filter((sheet) => target.test(sheet.getName()))
+    .sort((a, b) => a.getName().localeCompare(b.getName()));
+}
+
+/**
+ * Private helper to read the header row of a sheet.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read.
+ * @returns {Array<string>} The header names, or an empty array for an empty sheet.
+ */
+function _getHeaderRow(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  return lastColumn > 0
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0]
+    : [];
+}
+
+/**
+ * Private helper to fill the empty cells of a column with computed values.
+ * When the column does not exist yet (a dry run that skipped an earlier
+ * `add_column`), every row counts as empty.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to backfill.
+ * @param {Object} step - The `backfill` step.
+ * @param {boolean} dryRun - When true, count the cells without writing them.
+ * @returns {number} The number of cells filled (or that would be filled).
+ */
+function _backfillColumn(sheet, step, dryRun) {
+  if (sheet.getLastRow() < 2) return 0;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+  const columnIndex = headers.indexOf(step.column);
+
+  let filled = 0;
+  const values = data.slice(1).map((row) => {
+    const current = columnIndex === -1 ? "" : row[columnIndex];
+    if (current !== "") return [current];
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = row[index];
+    });
+    filled++;
+    return [step.value(record)];
+  });
+
+  if (!dryRun && filled > 0) {
+    sheet.getRange(2, columnIndex + 1, values.length, 1).setValues(values);
+  }
+  return filled;
+}
+
+/**
+ * Private helper to run one migration step. When it changes anything, the
+ * customer lookup index and the settings memo are dropped, so the rest of the
+ * execution reads the migrated sheets.
+ * @private
+ * @param {Object} step - The step, as declared in `MIGRATIONS`.
+ * @param {boolean} dryRun - When true, report the changes without making them.
+ * @throws {Error} If the step type is unknown, or a rename collides with an existing header.
+ * @returns {Array<Object>} The changes made (or that would be made); empty when there is nothing to do.
+ */
+function _applyMigrationStep(step, dryRun) {
+  const changes = _collectMigrationStepChanges(step, dryRun);
+  if (!dryRun && changes.length > 0) {
+    // Layout and values changed under the execution memos and the cached customer index.
+    _invalidateCustomerIndex();
+    _invalidateSettingsCache();
+  }
+  return changes;
+}
+
+/**
+ * Private helper to make (or preview) the changes of one migration step.
+ * @private
+ * @param {Object} step - The step, as declared in `MIGRATIONS`.
+ * @param {boolean} dryRun - When true, report the changes without making them.
+ * @throws {Error} If the step type is unknown, or a rename collides with an existing header.
+ * @returns {Array<Object>} The changes made (or that would be made).
+ */
+function _collectMigrationStepChanges(step, dryRun) {
+  if (step.type === MIGRATION_STEP_TYPES.CREATE_SHEET) {
+    if (SpreadsheetApp.getActiveSpreadsheet().getSheetByName(step.sheet)) {
+      return [];
+    }
+    if (!dryRun) step.create();
+    return [{ type: step.type, sheet: step.sheet }];
+  }
+
+  const changes = [];
+  _getMigrationTargetSheets(step.sheet).forEach((sheet) => {
+    const sheetName = sheet.getName();
+    const headers = _getHeaderRow(sheet);
+
+    switch (step.type) {
+      case MIGRATION_STEP_TYPES.ADD_COLUMN:
+        if (headers.includes(step.column)) return;
+        if (!dryRun) _ensureSheetColumns(sheet, [step.column]);
+        changes.push({
+          type: step.type,
+          sheet: sheetName,
+          column: step.column,
+        });
+        return;
+
+      case MIGRATION_STEP_TYPES.BACKFILL: {
+        const rows = _backfillColumn(sheet, step, dryRun);
+        if (rows === 0) return;
+        changes.push({
+          type: step.type,
+          sheet: sheetName,
+          column: step.column,
+          rows: rows,
+        });
+        return;
+      }
+
+      case MIGRATION_STEP_TYPES.RENAME_HEADER: {
+        const fromIndex = headers.indexOf(step.from);
+        if (fromIndex === -1) return;
+        if (headers.includes(step.to)) {
+          throw new Error(
+            `Cannot rename '${step.from}' to '${step.to}' in '${sheetName}': the column already exists`,
+          );
+        }
+        if (!dryRun) sheet.getRange(1, fromIndex + 1).setValue(step.to);
+        changes.push({
+          type: step.type,
+          sheet: sheetName,
+          from: step.from,
+          to: step.to,
+        });
+        return;
+      }
+
+      default:
+        throw new Error(`Unknown migration step type '${step.type}'`);
+    }
+  });
+  return changes;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Reports the applied schema version and the migrations still pending.
+ * @returns {{success: boolean, schema_version: number, latest_version: number, pending: Array<{version: number, description: string}>}|{success: boolean, error: string}} The applied and latest versions and the pending migrations on success, or an error message on failure.
+ */
+function getSchemaStatus() {
+  try {
+    const current = _getCurrentSchemaVersion();
+    return {
+      success: true,
+      schema_version: current,
+      latest_version: _getLatestSchemaVersion(),
+      pending: MIGRATIONS.filter(({ version }) => version > current).map(
+        ({ version, description }) => ({ version, description }),
+      ),
+    };
+  } catch (error) {
+    _logError("getSchemaStatus", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Applies the pending migrations in order, up to `target_version`.
+ * `schema_version` is saved after each migration, so a failure keeps the
+ * earlier ones; since steps are idempotent, the run can simply be retried.
+ * @param {Object} [options] - The options.
+ * @param {boolean} [options.dry_run=false] - When true, report the changes without making them.
+ * @param {number} [options.target_version] - The version to stop at. Defaults to the latest.
+ * @returns {{success: boolean, dry_run: boolean, from_version: number, to_version: number, migrations: Array<{version: number, description: string, changes: Array<Object>}>, message: string}|{success: boolean, error: string, code: string}} The applied (or, in a dry run, pending) migrations and their changes on success, or an error message on failure.
+ */
+function runMigrations({ dry_run = false, target_version } = {}) {
+  try {
+    const latest = _getLatestSchemaVersion();
+    const target =
+      target_version === undefined || target_version === null
+        ? latest
+        : Number(target_version);
+    if (!Number.isInteger(target) || target < 0 || target > latest) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Field 'target_version' must be an integer between 0 and ${latest}`,
+      );
+    }
+
+    return _withScriptLock(() => {
+      // Another execution may have migrated while this one waited for the lock.
+      _invalidateSettingsCache();
+      const current = _getCurrentSchemaVersion();
+      if (target < current) {
+        throw _createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Schema is at version ${current}; migrations cannot be rolled back to ${target}`,
+        );
+      }
+
+      const migrations = [];
+      MIGRATIONS.filter(
+        ({ version }) => version > current && version <= target,
+      ).forEach((migration) => {
+        let changes;
+        try {
+          changes = migration.steps.flatMap((step) =>
+            _applyMigrationStep(step, dry_run),
+          );
+        } catch (error) {
+          error.message = `Migration ${migration.version} (${migration.description}) failed: ${error.message}`;
+          throw error;
+        }
+        if (!dry_run) _setSettingValue("schema_version", migration.version);
+        migrations.push({
+          version: migration.version,
+          description: migration.description,
+          changes: changes,
+        });
+      });
+
+      const verb = dry_run ? "Would apply" : "Applied";
+      return {
+        success: true,
+        dry_run: dry_run,
+        from_version: current,
+        to_version: migrations.length > 0 ? target : current,
+        migrations: migrations,
+        message:
+          migrations.length === 0
+            ? `Schema is up to date at version ${current}`
+            : `${verb} ${migrations.length} migrations (version ${current} to ${target})`,
+      };
+    });
+  } catch (error) {
+    _logError("runMigrations", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * Payment Ledger Functions
+ * Records every payment made against a sale in the `payments` sheet and keeps
+ * the sale's `amount_paid`, `pending_balance` and `status` in sync.
+ */
+
+// ===  Constants  ===
+const PAYMENTS_SHEET_NAME = "payments";
+const PAYMENT_METHODS = {
+  CASH: "cash",
+  NEQUI: "nequi",
+  BANK_TRANSFER: "bank_transfer",
+  CARD: "card",
+};
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `payments` ledger sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The payments sheet.
+ */
+function _getPaymentsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PAYMENTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PAYMENTS_SHEET_NAME);
+    sheet.appendRow([
+      "payment_id",
+      "sale_id",
+      "sales_sheet",
+      "customer_id",
+      "amount",
+      "method",
+      "paid_at",
+    ]);
+    console.log("Sheet `payments` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to read the `payments` ledger without creating it, so that
+ * reads never change the spreadsheet.
+ * @private
+ * @returns {Array<Array>} The sheet values including the header row, or an empty array if the sheet does not exist yet.
+ */
+function _readPaymentsData() {
+  const sheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PAYMENTS_SHEET_NAME);
+  return sheet ? sheet.getDataRange().getValues() : [];
+}
+
+/**
+ * Private helper to convert a spreadsheet row to a payment object.
+ * @private
+ * @param {Array} row - The array of cell values for a single payment.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A payment object with key-value pairs.
+ */
+function _rowToPaymentObject(row, headers) {
+  const payment = {};
+  headers.forEach((header, index) => {
+    payment[header] = row[index];
+  });
+  return payment;
+}
+
+/**
+ * Private helper to generate the next payment ID from the settings counter.
+ * @private
+ * @returns {string} The new unique payment ID (e.g., "P00001").
+ */
+function _generatePaymentId() {
+  const nextIdNum = _incrementSettingsCounter("last_payment_id_number");
+  return `P${String(nextIdNum).padStart(5, "0")}`;
+}
+
+/**
+ * Validates a payment method, defaulting to cash when none is given.
+ * @private
+ * @param {string} [method] - The payment method to validate.
+ * @throws {Error} If the method is not one of `PAYMENT_METHODS`.
+ * @returns {string} The normalized payment method.
+ */
+function _validatePaymentMethod(method) {
+  if (!method) return PAYMENT_METHODS.CASH;
+  const normalized = String(method).trim().toLowerCase();
+  if (!Object.values(PAYMENT_METHODS).includes(normalized)) {
+    throw new Error(
+      `Invalid payment method '${method}'. Use one of: ${Object.values(
+        PAYMENT_METHODS,
+      ).join(", ")}`,
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Private helper to append a row to the payments ledger.
+ * @private
+ * @param {Object} payment - The payment to record.
+ * @param {string} payment.sale_id - The paid sale ID.
+ * @param {string} payment.sales_sheet - The name of the sheet holding the sale (e.g., "sales_2025_01").
+ * @param {string} payment.customer_id - The paying customer's ID.
+ * @param {number} payment.amount - The amount paid.
+ * @param {string} [payment.method] - The payment method.
+ * @param {string} payment.paid_at - Formatted payment timestamp.
+ * @returns {Object} The stored payment record, including its `payment_id`.
+ */
+function _appendPaymentRecord(payment) {
+  const sheet = _getPaymentsSheet();
+  const record = {
+    payment_id: _generatePaymentId(),
+    sale_id: payment.sale_id,
+    sales_sheet: payment.sales_sheet,
+    customer_id: payment.customer_id,
+    amount: payment.amount,
+    method: _validatePaymentMethod(payment.method),
+    paid_at: payment.paid_at,
+  };
+
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  sheet.appendRow(
+    headers.map((header) => (record[header] === undefined ? "" : record[header])),
+  );
+  return record;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Records a payment against an existing sale.
+ * The payment is appended to the `payments` ledger and the sale's
+ * `amount_paid`, `pending_balance`, `status` and `last_payment_datetime` are recomputed.
+ * Overpayments are rejected.
+ * @param {Object} paymentData - The payment information.
+ * @param {string} paymentData.sale_id - The ID of the sale being paid (e.g., "S00001").
+ * @param {string} [paymentData.month] - Month of the sale in YYYY-MM format. Only needed for legacy sale IDs such as "S00001".
+ * @param {number} paymentData.amount - The amount paid. Must be positive and not exceed the pending balance.
+ * @param {string} [paymentData.method="cash"] - One of `PAYMENT_METHODS`.
+ * @param {string} [paymentData.paid_at] - ISO-8601 payment date. Defaults to now.
+ * @returns {{success: boolean, payment: Object, sale: Object}|{success: boolean, error: string}} The ledger entry and updated sale on success, or an error message on failure.
+ */
+function recordPayment({ sale_id, month, amount, method, paid_at }) {
+  try {
+    // 1. Validate inputs
+    if (!sale_id) {
+      throw new Error("Field 'sale_id' is required");
+    }
+    const cleanAmount = Number(amount);
+    if (!isFinite(cleanAmount) || cleanAmount <= 0) {
+      throw new Error("Field 'amount' must be a positive number");
+    }
+    const cleanMethod = _validatePaymentMethod(method);
+    const paymentDate = _parseSaleDate(paid_at);
+    _assertDayOpen(paymentDate);
+
+    // 2. Find the sale
+    const saleRecord = _findSaleAndIndex(sale_id, month);
+    if (!saleRecord) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        month
+          ? `Sale '${sale_id}' not found for month '${month}'`
+          : `Sale '${sale_id}' not found`,
+      );
+    }
+    const { sale, rowIndex, headers, sheet } = saleRecord;
+
+    // 3. Reject payments to reversed sales and overpayments
+    if (_isReversedSale(sale)) {
+      throw new Error(`Sale '${sale_id}' is ${sale.status.toLowerCase()}`);
+    }
+    const totalPrice = Number(sale.total_price) || 0;
+    const currentPaid = Number(sale.amount_paid) || 0;
+    const pendingBalance = totalPrice - currentPaid;
+    if (pendingBalance <= 0) {
+      throw new Error(`Sale '${sale_id}' is already paid`);
+    }
+    if (cleanAmount > pendingBalance) {
+      throw new Error(
+        `Payment of ${cleanAmount} exceeds the pending balance of ${pendingBalance}`,
+      );
+    }
+
+    // 4. Append to the ledger and update the sale, or neither
+    const paidAt = _formatSaleDate(paymentDate);
+    const newAmountPaid = currentPaid + cleanAmount;
+    const updatedSale = {
+      ...sale,
+      amount_paid: newAmountPaid,
+      pending_balance: totalPrice - newAmountPaid,
+      status: _calculateSaleStatus(totalPrice, newAmountPaid),
+      last_payment_datetime: paidAt,
+    };
+    const newRowData = headers.map((header) =>
+      updatedSale[header] === undefined ? "" : updatedSale[header],
+    );
+    const paymentsSheet = _getPaymentsSheet();
+
+    const undo = [];
+    let payment;
+    try {
+      payment = _appendWithUndo(undo, paymentsSheet, () =>
+        _appendPaymentRecord({
+          sale_id: sale.sale_id,
+          sales_sheet: sheet.getName(),
+          customer_id: sale.customer_id,
+          amount: cleanAmount,
+          method: cleanMethod,
+          paid_at: paidAt,
+        }),
+      );
+      _setRowWithUndo(undo, sheet, rowIndex, newRowData);
+    } catch (error) {
+      undo.reverse().forEach((step) => step());
+      throw error;
+    }
+
+    console.log(`Payment ${payment.payment_id} recorded for sale ${sale_id}`);
+
+    return { success: true, payment: payment, sale: updatedSale };
+  } catch (error) {
+    _logError("recordPayment", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Applies a lump-sum payment to a customer's outstanding sales, oldest first (FIFO).
+ * Every monthly sales sheet is walked from the oldest month, and each sale with a
+ * pending balance receives as much of the payment as it needs. Each allocation is
+ * recorded in the `payments` ledger. Amounts above the total outstanding balance are rejected.
+ * @param {Object} paymentData - The payment information.
+ * @param {string} paymentData.customer_id - The ID of the paying customer.
+ * @param {number} paymentData.amount - The lump sum to allocate. Must be positive.
+ * @param {string} [paymentData.method="cash"] - One of `PAYMENT_METHODS`.
+ * @param {string} [paymentData.paid_at] - ISO-8601 payment date. Defaults to now.
+ * @returns {{success: boolean, customer_id: string, amount_applied: number, remaining_balance: number, settled: Array<Object>, partially_paid: Array<Object>}|{success: boolean, error: string}} A breakdown of the allocation on success, or an error message on failure.
+ */
+function payCustomerBalance({ customer_id, amount, method, paid_at }) {
+  try {
+    // 1. Validate inputs
+    if (!customer_id) {
+      throw new Error("Field 'customer_id' is required");
+    }
+    if (!findCustomerById(customer_id)) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customer_id}' not found`,
+      );
+    }
+    const cleanAmount = Number(amount);
+    if (!isFinite(cleanAmount) || cleanAmount <= 0) {
+      throw new Error("Field 'amount' must be a positive number");
+    }
+    const cleanMethod = _validatePaymentMethod(method);
+    const paymentDate = _parseSaleDate(paid_at);
+    _assertDayOpen(paymentDate);
+
+    // 2. Collect the customer's open sales, oldest first
+    const openSales = [];
+    _getSalesSheetsOldestFirst().forEach((sheet) => {
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift();
+      const customerIdx = headers.indexOf("customer_id");
+      const pendingIdx = headers.indexOf("pending_balance");
+      if (customerIdx === -1 || pendingIdx === -1) return;
+
+      data
+        .map((row, i) => ({
+          sale: _rowToSaleObject(row, headers),
+          rowIndex: i + 2,
+        }))
+        .filter(
+          ({ sale }) =>
+            sale.customer_id === customer_id &&
+            Number(sale.pending_balance) > 0,
+        )
+        .sort(
+          (a, b) =>
+            _saleTimestamp(a.sale.sale_datetime) -
+            _saleTimestamp(b.sale.sale_datetime),
+        )
+        .forEach((entry) => openSales.push({ ...entry, headers, sheet }));
+    });
+
+    const totalOutstanding = openSales.reduce(
+      (sum, { sale }) => sum + Number(sale.pending_balance),
+      0,
+    );
+    if (totalOutstanding <= 0) {
+      throw new Error(`Customer '${customer_id}' has no pending balance`);
+    }
+    if (cleanAmount > totalOutstanding) {
+      throw new Error(
+        `Payment of ${cleanAmount} exceeds the outstanding balance of ${totalOutstanding}`,
+      );
+    }
+
+    // 3. Plan the FIFO allocation before writing anything
+    const paidAt = _formatSaleDate(paymentDate);
+    const allocations = [];
+    let remaining = cleanAmount;
+
+    for (const { sale, rowIndex, headers, sheet } of openSales) {
+      if (remaining <= 0) break;
+
+      const totalPrice = Number(sale.total_price) || 0;
+      const currentPaid = Number(sale.amount_paid) || 0;
+      const applied = Math.min(remaining, Number(sale.pending_balance));
+      const newAmountPaid = currentPaid + applied;
+      const updatedSale = {
+        ...sale,
+        amount_paid: newAmountPaid,
+        pending_balance: totalPrice - newAmountPaid,
+        status: _calculateSaleStatus(totalPrice, newAmountPaid),
+        last_payment_datetime: paidAt,
+      };
+      allocations.push({ applied, updatedSale, rowIndex, headers, sheet });
+      remaining -= applied;
+    }
+
+    // 4. Apply every allocation, or none of them
+    const paymentsSheet = _getPaymentsSheet();
+    const settled = [];
+    const partiallyPaid = [];
+    const undo = [];
+    try {
+      for (const planned of allocations) {
+        const { applied, updatedSale, rowIndex, headers, sheet } = planned;
+        const payment = _appendWithUndo(undo, paymentsSheet, () =>
+          _appendPaymentRecord({
+            sale_id: updatedSale.sale_id,
+            sales_sheet: sheet.getName(),
+            customer_id: customer_id,
+            amount: applied,
+            method: cleanMethod,
+            paid_at: paidAt,
+          }),
+        );
+        _setRowWithUndo(
+          undo,
+          sheet,
+          rowIndex,
+          headers.map((header) =>
+            updatedSale[header] === undefined ? "" : updatedSale[header],
+          ),
+        );
+
+        const allocation = {
+          sale_id: updatedSale.sale_id,
+          sales_sheet: sheet.getName(),
+          payment_id: payment.payment_id,
+          applied: applied,
+          pending_balance: updatedSale.pending_balance,
+          status: updatedSale.status,
+        };
+        (updatedSale.pending_balance <= 0 ? settled : partiallyPaid).push(
+          allocation,
+        );
+      }
+    } catch (error) {
+      undo.reverse().forEach((step) => step());
+      throw error;
+    }
+
+    // 5. Refresh month statuses
+    updateSalesSummary();
+
+    console.log(
+      `Payment of ${cleanAmount} allocated across ${
+        settled.length + partiallyPaid.length
+      } sales for ${customer_id}`,
+    );
+
+    return {
+      success: true,
+      customer_id: customer_id,
+      amount_applied: cleanAmount,
+      remaining_balance: totalOutstanding - cleanAmount,
+      settled: settled,
+      partially_paid: partiallyPaid,
+    };
+  } catch (error) {
+    _logError("payCustomerBalance", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Retrieves the payment history of a sale from the `payments` ledger.
+ * @param {string} saleId - The sale ID (e.g., "S202501-00001").
+ * @param {string} [month] - Month of the sale in YYYY-MM format. Only needed for legacy sale IDs such as "S00001".
+ * @returns {Array<Object>} The payments for the sale, oldest first. Returns an empty array on error or if none exist.
+ */
+function getPaymentsForSale(saleId, month) {
+  try {
+    const saleRecord = _findSaleAndIndex(saleId, month);
+    if (!saleRecord) return [];
+    const { sale, sheet } = saleRecord;
+
+    const data = _readPaymentsData();
+    if (data.length === 0) return [];
+    const headers = data.shift();
+    return data
+      .map((row) => _rowToPaymentObject(row, headers))
+      .filter(
+        (payment) =>
+          payment.sale_id === sale.sale_id &&
+          payment.sales_sheet === sheet.getName(),
+      );
+  } catch (error) {
+    _logError("getPaymentsForSale", error);
+    return [];
+  }
+}
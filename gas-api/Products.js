@@ -0,0 +1,370 @@
+/**
+ * Product Catalog Functions
+ * Manages the `products` sheet (sku, name, price, active flag) and the
+ * `sale_items` sheet holding the priced line items of each sale.
+ */
+
+// ===  Constants  ===
+const PRODUCTS_SHEET_NAME = "products";
+const SALE_ITEMS_SHEET_NAME = "sale_items";
+const SKU_REGEX = /^[A-Z0-9_-]+$/; // Uppercase letters, digits, dashes and underscores.
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `products` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The products sheet.
+ */
+function _getProductsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRODUCTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PRODUCTS_SHEET_NAME);
+    sheet.appendRow(["sku", "name", "price", "active", "created_at", "updated_at"]);
+    console.log("Sheet `products` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to create the `products` sheet with the default product, so
+ * sales registered with a bare `quantity` can be priced right away.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The new products sheet.
+ */
+function _createProductsSheetWithDefault() {
+  const sheet = _getProductsSheet();
+  const now = new Date().toISOString();
+  sheet.appendRow([
+    _getSetting("default_sku"),
+    "Sandwich",
+    _getSetting("default_product_price"),
+    true,
+    now,
+    now,
+  ]);
+  return sheet;
+}
+
+/**
+ * Private helper to get or create the `sale_items` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sale items sheet.
+ */
+function _getSaleItemsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SALE_ITEMS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SALE_ITEMS_SHEET_NAME);
+    sheet.appendRow([
+      "sale_id",
+      "sales_sheet",
+      "line_no",
+      "sku",
+      "name",
+      "quantity",
+      "unit_price",
+      "line_total",
+    ]);
+    console.log("Sheet `sale_items` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to convert a spreadsheet row to a product object.
+ * @private
+ * @param {Array} row - The array of cell values for a single product.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A product object with key-value pairs.
+ */
+function _rowToProductObject(row, headers) {
+  const product = {};
+  headers.forEach((header, index) => {
+    product[header] = row[index];
+  });
+  // Sheets may hand booleans back as "TRUE"/"FALSE" strings.
+  product.active = product.active === true || product.active === "TRUE";
+  return product;
+}
+
+/**
+ * Private helper to normalize and validate a SKU.
+ * @private
+ * @param {string} sku - The raw SKU.
+ * @throws {Error} If the SKU is empty or has invalid characters.
+ * @returns {string} The uppercase, trimmed SKU.
+ */
+function _normalizeSku(sku) {
+  const normalized = String(sku ?? "").trim().toUpperCase();
+  if (!normalized || !SKU_REGEX.test(normalized)) {
+    throw new Error(
+      "Field 'sku' is required and may only contain letters, digits, '-' and '_'",
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Private helper to validate a product price.
+ * @private
+ * @param {*} price - The raw price.
+ * @throws {Error} If the price is not a positive number.
+ * @returns {number} The price.
+ */
+function _validateProductPrice(price) {
+  const cleanPrice = Number(price);
+  if (price === "" || price === null || !isFinite(cleanPrice) || cleanPrice <= 0) {
+    throw new Error("Field 'price' must be a positive number");
+  }
+  return cleanPrice;
+}
+
+/**
+ * Private helper to find a product row by SKU.
+ * @private
+ * @param {string} sku - The normalized SKU.
+ * @returns {{product: Object, rowIndex: number, headers: Array<string>, sheet: GoogleAppsScript.Spreadsheet.Sheet}|null} The product and its 1-based row index if found, otherwise null.
+ */
+function _findProductAndIndex(sku) {
+  const sheet = _getProductsSheet();
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const skuIdx = headers.indexOf("sku");
+  for (let i = 0; i < data.length; i++) {
+    if (String(data[i][skuIdx]).trim().toUpperCase() === sku) {
+      return {
+        product: _rowToProductObject(data[i], headers),
+        rowIndex: i + 2,
+        headers: headers,
+        sheet: sheet,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Prices the line items of a new sale from the catalog.
+ * Sales without `items` become a single line of the default product.
+ * @private
+ * @param {Array<{sku: string, quantity: number}>} [items] - The requested line items.
+ * @param {number} [quantity] - Legacy single-product quantity, used when `items` is empty.
+ * @throws {Error} If an item is invalid, or a product is unknown or inactive.
+ * @returns {Array<{sku: string, name: string, quantity: number, unit_price: number, line_total: number}>} The priced lines.
+ */
+function _priceSaleLines(items, quantity) {
+  const hasItems = Array.isArray(items) && items.length > 0;
+  const requested = hasItems
+    ? items
+    : [{ sku: _getSetting("default_sku"), quantity: quantity }];
+
+  return requested.map((item, i) => {
+    const label = hasItems ? `Item ${i + 1}: ` : "";
+    const cleanQuantity = Number(item?.quantity);
+    if (!Number.isInteger(cleanQuantity) || cleanQuantity <= 0) {
+      throw new Error(`${label}Field 'quantity' must be a positive integer`);
+    }
+
+    const sku = _normalizeSku(item.sku);
+    const productRecord = _findProductAndIndex(sku);
+
+    if (!productRecord) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        hasItems
+          ? `${label}Product '${sku}' not found`
+          : `Default product '${sku}' not found. Send 'items'.`,
+      );
+    }
+    const { product } = productRecord;
+    if (!product.active) {
+      throw new Error(`${label}Product '${sku}' is not active`);
+    }
+    const price = Number(product.price);
+    return {
+      sku: sku,
+      name: product.name,
+      quantity: cleanQuantity,
+      unit_price: price,
+      line_total: cleanQuantity * price,
+    };
+  });
+}
+
+/**
+ * Private helper to store the line items of a sale.
+ * @private
+ * @param {string} saleId - The sale ID.
+ * @param {string} salesSheetName - The sales sheet name (e.g., "sales_2025_01").
+ * @param {Array<Object>} lines - The priced lines from `_priceSaleLines`.
+ * @returns {Array<Object>} The stored lines, with `line_no`.
+ */
+function _appendSaleItems(saleId, salesSheetName, lines) {
+  const sheet = _getSaleItemsSheet();
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const stored = lines.map((line, i) => ({
+    sale_id: saleId,
+    sales_sheet: salesSheetName,
+    line_no: i + 1,
+    ...line,
+  }));
+  const rows = stored.map((line) =>
+    headers.map((header) => (line[header] === undefined ? "" : line[header])),
+  );
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length)
+    .setValues(rows);
+  return stored;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Retrieves the product catalog.
+ * @param {Object} [options] - Listing options.
+ * @param {boolean} [options.include_inactive=false] - Also return inactive products.
+ * @returns {Array<Object>} The products. Returns an empty array on error.
+ */
+function getProducts({ include_inactive } = {}) {
+  try {
+    const data = _getProductsSheet().getDataRange().getValues();
+    const headers = data.shift();
+    return data
+      .map((row) => _rowToProductObject(row, headers))
+      .filter((product) => include_inactive || product.active);
+  } catch (error) {
+    _logError("getProducts", error);
+    return [];
+  }
+}
+
+/**
+ * Adds a product to the catalog.
+ * @param {Object} productData - The product's information.
+ * @param {string} productData.sku - Unique product code (e.g., "SANDWICH-HAM").
+ * @param {string} productData.name - Display name.
+ * @param {number} productData.price - Unit price. Must be positive.
+ * @param {boolean} [productData.active=true] - Whether the product can be sold.
+ * @returns {{success: boolean, product: Object}|{success: boolean, error: string}} The new product on success, or an error message on failure.
+ */
+function createProduct({ sku, name, price, active }) {
+  try {
+    const cleanSku = _normalizeSku(sku);
+    const cleanName = name?.trim();
+    if (!cleanName) {
+      throw new Error("Field 'name' is required");
+    }
+    const cleanPrice = _validateProductPrice(price);
+    if (_findProductAndIndex(cleanSku)) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Product '${cleanSku}' already exists`,
+      );
+    }
+
+    const now = new Date().toISOString();
+    const newProduct = {
+      sku: cleanSku,
+      name: cleanName,
+      price: cleanPrice,
+      active: active !== false,
+      created_at: now,
+      updated_at: now,
+    };
+
+    const sheet = _getProductsSheet();
+    const headers = sheet
+      .getRange(1, 1, 1, sheet.getLastColumn())
+      .getValues()[0];
+    sheet.appendRow(
+      headers.map((header) =>
+        newProduct[header] === undefined ? "" : newProduct[header],
+      ),
+    );
+
+    console.log(`Product ${cleanSku} created`);
+    return { success: true, product: newProduct };
+  } catch (error) {
+    _logError("createProduct", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Updates a product's name, price or active flag. Past sales keep the price
+ * they were sold at, since each line item stores its own `unit_price`.
+ * Products are deactivated rather than deleted so old sales still resolve.
+ * @param {Object} updateData - The product data to update. Must include `sku`.
+ * @param {string} updateData.sku - The SKU of the product to update.
+ * @param {string} [updateData.name] - New name.
+ * @param {number} [updateData.price] - New price.
+ * @param {boolean} [updateData.active] - New active flag.
+ * @returns {{success: boolean, product: Object}|{success: boolean, error: string}} The updated product on success, or an error message on failure.
+ */
+function updateProduct({ sku, name, price, active }) {
+  try {
+    const cleanSku = _normalizeSku(sku);
+    const productRecord = _findProductAndIndex(cleanSku);
+    if (!productRecord) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Product '${cleanSku}' not found`,
+      );
+    }
+    const { product, rowIndex, headers, sheet } = productRecord;
+
+    const updatedProduct = { ...product };
+    if (name !== undefined && name !== null) {
+      if (!String(name).trim()) throw new Error("Field 'name' cannot be empty");
+      updatedProduct.name = String(name).trim();
+    }
+    if (price !== undefined && price !== null) {
+      updatedProduct.price = _validateProductPrice(price);
+    }
+    if (active !== undefined && active !== null) {
+      updatedProduct.active = active === true || active === "true";
+    }
+    updatedProduct.updated_at = new Date().toISOString();
+
+    sheet
+      .getRange(rowIndex, 1, 1, headers.length)
+      .setValues([
+        headers.map((header) =>
+          updatedProduct[header] === undefined ? "" : updatedProduct[header],
+        ),
+      ]);
+
+    console.log(`Product ${cleanSku} updated`);
+    return { success: true, product: updatedProduct };
+  } catch (error) {
+    _logError("updateProduct", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Retrieves the line items of a sale.
+ * @param {string} saleId - The sale ID (e.g., "S202501-00001").
+ * @param {string} salesSheetName - The sales sheet name (e.g., "sales_2025_01").
+ * @returns {Array<Object>} The line items, in order. Returns an empty array on error or if none exist.
+ */
+function getSaleItems(saleId, salesSheetName) {
+  try {
+    const data = _getSaleItemsSheet().getDataRange().getValues();
+    const headers = data.shift();
+    return data
+      .map((row) => _rowToSaleObject(row, headers))
+      .filter(
+        (item) =>
+          item.sale_id === saleId && item.sales_sheet === salesSheetName,
+      )
+      .sort((a, b) => a.line_no - b.line_no);
+  } catch (error) {
+    _logError("getSaleItems", error);
+    return [];
+  }
+}
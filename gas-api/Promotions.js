@@ -0,0 +1,444 @@
+/**
+ * Promotions Functions
+ * Manages the `promotions` sheet and evaluates promotions at sale time.
+ * A promotion is a percentage discount, a fixed-amount discount or a
+ * buy-X-get-Y offer, optionally limited to one product, a date window,
+ * some weekdays, a number of uses, or customers who know its code.
+ */
+
+// ===  Constants  ===
+const PROMOTIONS_SHEET_NAME = "promotions";
+const PROMOTION_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED_AMOUNT: "fixed_amount",
+  BUY_X_GET_Y: "buy_x_get_y",
+};
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `promotions` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The promotions sheet.
+ */
+function _getPromotionsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PROMOTIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PROMOTIONS_SHEET_NAME);
+    sheet.appendRow([
+      "promo_id",
+      "name",
+      "type",
+      "value",
+      "sku",
+      "buy_quantity",
+      "get_quantity",
+      "code",
+      "starts_at",
+      "ends_at",
+      "weekdays",
+      "max_uses",
+      "uses",
+      "active",
+    ]);
+    console.log("Sheet `promotions` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to convert a spreadsheet row to a promotion object.
+ * @private
+ * @param {Array} row - The array of cell values for a single promotion.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A promotion object with key-value pairs.
+ */
+function _rowToPromotionObject(row, headers) {
+  const promotion = {};
+  headers.forEach((header, index) => {
+    promotion[header] = row[index];
+  });
+  promotion.active = promotion.active === true || promotion.active === "TRUE";
+  return promotion;
+}
+
+/**
+ * Private helper to read all promotions with their 1-based row indexes.
+ * @private
+ * @returns {{headers: Array<string>, sheet: GoogleAppsScript.Spreadsheet.Sheet, records: Array<{promotion: Object, rowIndex: number}>}} The promotions sheet contents.
+ */
+function _readPromotions() {
+  const sheet = _getPromotionsSheet();
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  return {
+    headers: headers,
+    sheet: sheet,
+    records: data.map((row, i) => ({
+      promotion: _rowToPromotionObject(row, headers),
+      rowIndex: i + 2,
+    })),
+  };
+}
+
+/**
+ * Private helper to parse an optional promotion window boundary.
+ * @private
+ * @param {Date|string} value - The date value, or empty for an open-ended window.
+ * @param {string} field - The field name, used in the error message.
+ * @throws {Error} If the value cannot be parsed as a date.
+ * @returns {Date|null} The parsed date, or null if empty.
+ */
+function _parsePromotionDate(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed =
+    value instanceof Date ? value : new Date(String(value).replace(" ", "T"));
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid '${field}'. Use an ISO-8601 date string.`);
+  }
+  return parsed;
+}
+
+/**
+ * Private helper to validate and normalize promotion fields.
+ * @private
+ * @param {Object} fields - The promotion fields (see `createPromotion`).
+ * @throws {Error} If a field is invalid.
+ * @returns {Object} The normalized fields.
+ */
+function _validatePromotionFields(fields) {
+  const name = String(fields.name ?? "").trim();
+  if (!name) throw new Error("Field 'name' is required");
+
+  if (!Object.values(PROMOTION_TYPES).includes(fields.type)) {
+    throw new Error(
+      `Field 'type' must be one of: ${Object.values(PROMOTION_TYPES).join(", ")}`,
+    );
+  }
+
+  const sku = fields.sku ? _normalizeSku(fields.sku) : "";
+  let value = "";
+  let buyQuantity = "";
+  let getQuantity = "";
+
+  if (fields.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    if (!sku) throw new Error("Field 'sku' is required for buy_x_get_y");
+    buyQuantity = Number(fields.buy_quantity);
+    getQuantity = Number(fields.get_quantity);
+    if (
+      !Number.isInteger(buyQuantity) ||
+      buyQuantity <= 0 ||
+      !Number.isInteger(getQuantity) ||
+      getQuantity <= 0
+    ) {
+      throw new Error(
+        "Fields 'buy_quantity' and 'get_quantity' must be positive integers",
+      );
+    }
+  } else {
+    value = Number(fields.value);
+    if (!isFinite(value) || value <= 0) {
+      throw new Error("Field 'value' must be a positive number");
+    }
+    if (fields.type === PROMOTION_TYPES.PERCENTAGE && value > 100) {
+      throw new Error("Field 'value' cannot exceed 100 for percentage");
+    }
+  }
+
+  const startsAt = _parsePromotionDate(fields.starts_at, "starts_at");
+  const endsAt = _parsePromotionDate(fields.ends_at, "ends_at");
+  if (startsAt && endsAt && startsAt > endsAt) {
+    throw new Error("Field 'starts_at' must be before 'ends_at'");
+  }
+
+  const weekdays = String(fields.weekdays ?? "")
+    .split(",")
+    .map((day) => day.trim().toUpperCase())
+    .filter(Boolean);
+  const invalidDay = weekdays.find((day) => !WEEKDAYS.includes(day));
+  if (invalidDay) {
+    throw new Error(
+      `Invalid weekday '${invalidDay}'. Use: ${WEEKDAYS.join(", ")}`,
+    );
+  }
+
+  let maxUses = "";
+  if (fields.max_uses !== undefined && fields.max_uses !== null && fields.max_uses !== "") {
+    maxUses = Number(fields.max_uses);
+    if (!Number.isInteger(maxUses) || maxUses <= 0) {
+      throw new Error("Field 'max_uses' must be a positive integer");
+    }
+  }
+
+  return {
+    name: name,
+    type: fields.type,
+    value: value,
+    sku: sku,
+    buy_quantity: buyQuantity,
+    get_quantity: getQuantity,
+    code: String(fields.code ?? "").trim().toUpperCase(),
+    starts_at: startsAt ? _formatSaleDate(startsAt) : "",
+    ends_at: endsAt ? _formatSaleDate(endsAt) : "",
+    weekdays: weekdays.join(","),
+    max_uses: maxUses,
+  };
+}
+
+/**
+ * Private helper to check whether a promotion can be used on a given date.
+ * @private
+ * @param {Object} promotion - The promotion object.
+ * @param {Date} saleDate - The sale date.
+ * @returns {boolean} True if the promotion is active, within its window and weekdays, and has uses left.
+ */
+function _isPromotionAvailable(promotion, saleDate) {
+  if (!promotion.active) return false;
+
+  const timestamp = saleDate.getTime();
+  if (promotion.starts_at && timestamp < _saleTimestamp(promotion.starts_at)) {
+    return false;
+  }
+  if (promotion.ends_at && timestamp > _saleTimestamp(promotion.ends_at)) {
+    return false;
+  }
+
+  if (promotion.weekdays) {
+    const weekday = _formatSaleDate(saleDate, "EEE").toUpperCase();
+    if (!String(promotion.weekdays).split(",").includes(weekday)) return false;
+  }
+
+  if (promotion.max_uses && Number(promotion.uses || 0) >= Number(promotion.max_uses)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Private helper to compute the discount a promotion gives on a set of sale lines.
+ * @private
+ * @param {Object} promotion - The promotion object.
+ * @param {Array<Object>} lines - The priced sale lines.
+ * @returns {number} The discount amount, never more than the eligible lines' total.
+ */
+function _calculatePromotionDiscount(promotion, lines) {
+  const eligible = promotion.sku
+    ? lines.filter((line) => line.sku === promotion.sku)
+    : lines;
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.line_total, 0);
+  if (eligibleTotal <= 0) return 0;
+
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      return Math.round((eligibleTotal * Number(promotion.value)) / 100);
+    case PROMOTION_TYPES.FIXED_AMOUNT:
+      return Math.min(Number(promotion.value), eligibleTotal);
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      // e.g. 2x1: buy 1 get 1 — every group of 2 units has 1 free unit.
+      const buy = Number(promotion.buy_quantity);
+      const free = Number(promotion.get_quantity);
+      const units = eligible.reduce((sum, line) => sum + line.quantity, 0);
+      const freeUnits = Math.floor(units / (buy + free)) * free;
+      // Give away the cheapest eligible units.
+      const unitPrices = eligible
+        .flatMap((line) => Array(line.quantity).fill(line.unit_price))
+        .sort((a, b) => a - b);
+      return unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Finds the promotion giving the largest discount on a sale. Promotions
+ * without a code apply automatically; coded ones only when `promoCode` matches.
+ * Only one promotion is applied per sale.
+ * @private
+ * @param {Array<Object>} lines - The priced sale lines.
+ * @param {Date} saleDate - The sale date.
+ * @param {string} [promoCode] - The promotion code sent by the client.
+ * @throws {Error} If `promoCode` does not match a promotion usable for this sale.
+ * @returns {{promo_id: string, name: string, discount: number}|null} The best promotion and its discount, or null if none applies.
+ */
+function _findBestPromotion(lines, saleDate, promoCode) {
+  const code = String(promoCode ?? "").trim().toUpperCase();
+  const { records } = _readPromotions();
+
+  let best = null;
+  let codeMatched = false;
+  records.forEach(({ promotion }) => {
+    if (promotion.code && promotion.code !== code) return;
+    if (!_isPromotionAvailable(promotion, saleDate)) return;
+
+    const discount = _calculatePromotionDiscount(promotion, lines);
+    if (promotion.code && discount > 0) codeMatched = true;
+    if (discount > 0 && (!best || discount > best.discount)) {
+      best = {
+        promo_id: promotion.promo_id,
+        name: promotion.name,
+        discount: discount,
+      };
+    }
+  });
+
+  if (code && !codeMatched) {
+    throw new Error(`Promo code '${code}' is not valid for this sale`);
+  }
+  return best;
+}
+
+/**
+ * Private helper to count one use of a promotion, or give one back.
+ * @private
+ * @param {string} promoId - The promotion ID.
+ * @param {number} [change=1] - Uses to add; -1 gives back the use of a reversed sale.
+ */
+function _recordPromotionUse(promoId, change = 1) {
+  _withScriptLock(() => {
+    const { headers, sheet, records } = _readPromotions();
+    const usesIdx = headers.indexOf("uses");
+    const record = records.find(({ promotion }) => promotion.promo_id === promoId);
+    if (!record || usesIdx === -1) return;
+    sheet
+      .getRange(record.rowIndex, usesIdx + 1)
+      .setValue(Math.max(Number(record.promotion.uses || 0) + change, 0));
+  });
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Retrieves all promotions.
+ * @param {Object} [options] - Listing options.
+ * @param {boolean} [options.include_inactive=false] - Also return inactive promotions.
+ * @returns {Array<Object>} The promotions. Returns an empty array on error.
+ */
+function getPromotions({ include_inactive } = {}) {
+  try {
+    return _readPromotions()
+      .records.map(({ promotion }) => promotion)
+      .filter((promotion) => include_inactive || promotion.active);
+  } catch (error) {
+    _logError("getPromotions", error);
+    return [];
+  }
+}
+
+/**
+ * Creates a promotion.
+ * @param {Object} promotionData - The promotion's information.
+ * @param {string} promotionData.name - Display name (e.g., "2x1 on Fridays").
+ * @param {string} promotionData.type - One of `PROMOTION_TYPES`.
+ * @param {number} [promotionData.value] - Percent (1-100) or amount off. Required unless `buy_x_get_y`.
+ * @param {string} [promotionData.sku] - Limits the promotion to one product. Required for `buy_x_get_y`.
+ * @param {number} [promotionData.buy_quantity] - Units to buy, for `buy_x_get_y`.
+ * @param {number} [promotionData.get_quantity] - Free units, for `buy_x_get_y`.
+ * @param {string} [promotionData.code] - Promo code. Without one, the promotion applies automatically.
+ * @param {string} [promotionData.starts_at] - ISO-8601 start of the validity window.
+ * @param {string} [promotionData.ends_at] - ISO-8601 end of the validity window.
+ * @param {string} [promotionData.weekdays] - Comma-separated days it applies on (e.g., "FRI").
+ * @param {number} [promotionData.max_uses] - Maximum number of sales it can be applied to.
+ * @returns {{success: boolean, promotion: Object}|{success: boolean, error: string}} The new promotion on success, or an error message on failure.
+ */
+function createPromotion(promotionData) {
+  try {
+    const fields = _validatePromotionFields(promotionData || {});
+    const { headers, sheet, records } = _readPromotions();
+    if (
+      fields.code &&
+      records.some(({ promotion }) => promotion.code === fields.code)
+    ) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Promo code '${fields.code}' already exists`,
+      );
+    }
+
+    const nextIdNum = _incrementSettingsCounter("last_promo_id_number");
+    const newPromotion = {
+      promo_id: `PR${String(nextIdNum).padStart(5, "0")}`,
+      ...fields,
+      uses: 0,
+      active: promotionData.active !== false,
+    };
+    sheet.appendRow(
+      headers.map((header) =>
+        newPromotion[header] === undefined ? "" : newPromotion[header],
+      ),
+    );
+
+    console.log(`Promotion ${newPromotion.promo_id} created`);
+    return { success: true, promotion: newPromotion };
+  } catch (error) {
+    _logError("createPromotion", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Updates a promotion. Any field accepted by `createPromotion` may be changed,
+ * as well as `active`; omitted fields keep their value.
+ * @param {Object} updateData - The promotion data to update. Must include `promo_id`.
+ * @param {string} updateData.promo_id - The ID of the promotion to update.
+ * @returns {{success: boolean, promotion: Object}|{success: boolean, error: string}} The updated promotion on success, or an error message on failure.
+ */
+function updatePromotion(updateData) {
+  try {
+    const { promo_id, active, ...changes } = updateData || {};
+    if (!promo_id) throw new Error("Field 'promo_id' is required");
+
+    const { headers, sheet, records } = _readPromotions();
+    const record = records.find(({ promotion }) => promotion.promo_id === promo_id);
+    if (!record) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Promotion '${promo_id}' not found`,
+      );
+    }
+
+    const merged = { ...record.promotion };
+    for (const key in changes) {
+      if (changes[key] !== undefined && changes[key] !== null) {
+        merged[key] = changes[key];
+      }
+    }
+    const fields = _validatePromotionFields(merged);
+    if (
+      fields.code &&
+      records.some(
+        ({ promotion }) =>
+          promotion.code === fields.code && promotion.promo_id !== promo_id,
+      )
+    ) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Promo code '${fields.code}' already exists`,
+      );
+    }
+
+    const updatedPromotion = {
+      ...record.promotion,
+      ...fields,
+      active:
+        active === undefined || active === null
+          ? record.promotion.active
+          : active === true || active === "true",
+    };
+    sheet
+      .getRange(record.rowIndex, 1, 1, headers.length)
+      .setValues([
+        headers.map((header) =>
+          updatedPromotion[header] === undefined ? "" : updatedPromotion[header],
+        ),
+      ]);
+
+    console.log(`Promotion ${promo_id} updated`);
+    return { success: true, promotion: updatedPromotion };
+  } catch (error) {
+    _logError("updatePromotion", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Payment Reminder Functions
+ * Builds reminder messages for customers who owe money, from a template in
+ * `settings`, as Gmail drafts for the owner to review and send, or as WhatsApp
+ * click-to-chat links for the cashier to open. Every reminder is logged in the
+ * `reminder_log` sheet, and a customer is not reminded again within
+ * `reminder_interval_days`.
+ */
+
+// ===  Constants  ===
+const REMINDER_LOG_SHEET_NAME = "reminder_log";
+const REMINDER_CHANNELS = {
+  WHATSAPP: "whatsapp",
+  EMAIL: "email",
+};
+/** What happened to a logged reminder. */
+const REMINDER_STATUS = {
+  DRAFTED: "drafted",
+  GENERATED: "generated",
+};
+const TEMPLATE_PLACEHOLDER_REGEX = /\{(\w+)\}/g; // e.g. {first_name}
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `reminder_log` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The reminder log sheet.
+ */
+function _getReminderLogSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(REMINDER_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(REMINDER_LOG_SHEET_NAME);
+    sheet.appendRow([
+      "reminder_id",
+      "customer_id",
+      "channel",
+      "recipient",
+      "amount_owed",
+      "message",
+      "sent_by",
+      "sent_at",
+      "status",
+    ]);
+    console.log("Sheet `reminder_log` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to find when each customer was last reminded, on any channel.
+ * @private
+ * @returns {Object<string, number>} A map of customer ID to the timestamp of their latest reminder.
+ */
+function _getLastReminderTimes() {
+  const data = _getReminderLogSheet().getDataRange().getValues();
+  const headers = data.shift();
+  const customerIdx = headers.indexOf("customer_id");
+  const sentAtIdx = headers.indexOf("sent_at");
+
+  const lastSent = {};
+  data.forEach((row) => {
+    const timestamp = _saleTimestamp(row[sentAtIdx]);
+    if (timestamp > (lastSent[row[customerIdx]] || 0)) {
+      lastSent[row[customerIdx]] = timestamp;
+    }
+  });
+  return lastSent;
+}
+
+/**
+ * Private helper to fill a reminder template. Unknown placeholders are left as-is.
+ * @private
+ * @param {string} template - The template (e.g., "Hi {first_name}, you owe {amount}").
+ * @param {Object<string, *>} values - The placeholder values.
+ * @returns {string} The rendered message.
+ */
+function _renderReminderTemplate(template, values) {
+  return String(template).replace(TEMPLATE_PLACEHOLDER_REGEX, (match, key) =>
+    values[key] === undefined ? match : String(values[key]),
+  );
+}
+
+/**
+ * Private helper to build a WhatsApp click-to-chat link.
+ * @private
+ * @param {string} phone - The customer's phone number, without the country code.
+ * @param {string} message - The prefilled message.
+ * @returns {string} The wa.me link.
+ */
+function _buildWhatsAppLink(phone, message) {
+  return `https://wa.me/${_getSetting("whatsapp_country_code")}${phone}?text=${encodeURIComponent(message)}`;
+}
+
+/**
+ * Private helper to append a reminder to the log.
+ * @private
+ * @param {Object} reminder - The reminder fields (`customer_id`, `channel`, `recipient`, `amount_owed`, `message`, `sent_by`, `status`).
+ * @returns {Object} The stored log entry, with its generated `reminder_id` and `sent_at`.
+ */
+function _appendReminderLog(reminder) {
+  const sheet = _getReminderLogSheet();
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const nextIdNum = _incrementSettingsCounter("last_reminder_id_number");
+  const record = {
+    reminder_id: `RM${String(nextIdNum).padStart(5, "0")}`,
+    ...reminder,
+    sent_at: _formatSaleDate(new Date()),
+  };
+  sheet.appendRow(
+    headers.map((header) => (record[header] === undefined ? "" : record[header])),
+  );
+  return record;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Builds payment reminders for customers with a pending balance. Nothing is
+ * sent to customers directly. Balances and oldest unpaid dates come from the
+ * aging report. The message is rendered from the `reminder_template` setting,
+ * which may use {name}, {first_name}, {last_name}, {customer_id}, {amount} and
+ * {oldest_date}. With the `email` channel, each reminder becomes a Gmail draft
+ * (subject from `reminder_email_subject`) for the owner to review and send;
+ * with `whatsapp`, a click-to-chat link is returned for the cashier to open.
+ * Customers reminded within the last `reminder_interval_days` days
+ * (default 7), on any channel, are skipped.
+ * @param {Object} [options] - Reminder options.
+ * @param {string} [options.channel="whatsapp"] - One of `REMINDER_CHANNELS`.
+ * @param {boolean} [options.dry_run=false] - Only preview the messages: no draft is created and nothing is logged.
+ * @param {Array<string>} [options.customer_ids] - Limit the reminders to these customers.
+ * @param {number} [options.min_balance=0] - Skip customers owing this amount or less.
+ * @param {string} [options.performed_by] - Who requested the reminders.
+ * @returns {{success: boolean, channel: string, dry_run: boolean, reminders: Array<Object>, skipped: Array<{customer_id: string, reason: string}>}|{success: boolean, error: string}} The reminders and the skipped customers on success, or an error message on failure.
+ */
+function sendPaymentReminders({
+  channel,
+  dry_run,
+  customer_ids,
+  min_balance,
+  performed_by,
+} = {}) {
+  try {
+    // 1. Validate options
+    const cleanChannel = String(channel || REMINDER_CHANNELS.WHATSAPP)
+      .trim()
+      .toLowerCase();
+    if (!Object.values(REMINDER_CHANNELS).includes(cleanChannel)) {
+      throw new Error(
+        `Field 'channel' must be one of: ${Object.values(REMINDER_CHANNELS).join(", ")}`,
+      );
+    }
+    if (
+      customer_ids !== undefined &&
+      customer_ids !== null &&
+      !Array.isArray(customer_ids)
+    ) {
+      throw new Error("Field 'customer_ids' must be an array");
+    }
+    const minBalance =
+      min_balance === undefined || min_balance === null || min_balance === ""
+        ? 0
+        : Number(min_balance);
+    if (!isFinite(minBalance) || minBalance < 0) {
+      throw new Error("Field 'min_balance' must be zero or a positive number");
+    }
+
+    // 2. Collect the customers who owe money
+    const aging = getAgingReport();
+    if (!aging.success) throw new Error(aging.error);
+    const customersById = {};
+    getAllCustomers().forEach((customer) => {
+      customersById[customer.customer_id] = customer;
+    });
+
+    const template = _getSetting("reminder_template");
+    const subject = _getSetting("reminder_email_subject");
+    const intervalDays = _getSetting("reminder_interval_days");
+    const lastSent = _getLastReminderTimes();
+    const now = Date.now();
+
+    const reminders = [];
+    const skipped = [];
+    aging.customers
+      .filter((entry) => !customer_ids || customer_ids.includes(entry.customer_id))
+      .forEach((entry) => {
+        const skip = (reason) =>
+          skipped.push({ customer_id: entry.customer_id, reason: reason });
+        if (entry.total <= minBalance) {
+          return skip(`Balance of ${entry.total} is not above ${minBalance}`);
+        }
+        const sentAt = lastSent[entry.customer_id];
+        if (sentAt && now - sentAt < intervalDays * DAY_MS) {
+          return skip(
+            `Already reminded on ${_formatSaleDate(new Date(sentAt))}`,
+          );
+        }
+
+        const customer = customersById[entry.customer_id] || {};
+        const message = _renderReminderTemplate(template, {
+          name: entry.name,
+          first_name: customer.first_name || entry.name,
+          last_name: customer.last_name || "",
+          customer_id: entry.customer_id,
+          amount: _formatAmount(entry.total),
+          oldest_date: String(entry.oldest_sale_datetime).slice(0, 10),
+        });
+
+        const reminder = {
+          customer_id: entry.customer_id,
+          name: entry.name,
+          amount_owed: entry.total,
+          oldest_sale_datetime: entry.oldest_sale_datetime,
+          channel: cleanChannel,
+          message: message,
+        };
+        if (cleanChannel === REMINDER_CHANNELS.EMAIL) {
+          if (!customer.email) return skip("No email on file");
+          reminder.recipient = customer.email;
+          reminder.subject = subject;
+        } else {
+          if (!customer.phone) return skip("No phone on file");
+          reminder.recipient = customer.phone;
+          reminder.whatsapp_url = _buildWhatsAppLink(customer.phone, message);
+        }
+
+        // 3. Draft and log
+        if (!dry_run) {
+          if (cleanChannel === REMINDER_CHANNELS.EMAIL) {
+            try {
+              reminder.draft_id = GmailApp.createDraft(
+                customer.email,
+                subject,
+                message,
+              ).getId();
+            } catch (error) {
+              _logError("sendPaymentReminders", error);
+              return skip(`Email draft failed: ${error.message}`);
+            }
+          }
+          reminder.status =
+            cleanChannel === REMINDER_CHANNELS.EMAIL
+              ? REMINDER_STATUS.DRAFTED
+              : REMINDER_STATUS.GENERATED;
+          reminder.reminder_id = _appendReminderLog({
+            customer_id: entry.customer_id,
+            channel: cleanChannel,
+            recipient: reminder.recipient,
+            amount_owed: entry.total,
+            message: message,
+            sent_by: performed_by || "",
+            status: reminder.status,
+          }).reminder_id;
+        }
+        reminders.push(reminder);
+      });
+
+    const verb = dry_run
+      ? "previewed"
+      : cleanChannel === REMINDER_CHANNELS.EMAIL
+        ? REMINDER_STATUS.DRAFTED
+        : REMINDER_STATUS.GENERATED;
+    console.log(
+      `${reminders.length} ${cleanChannel} reminders ${verb}, ${skipped.length} skipped`,
+    );
+    return {
+      success: true,
+      channel: cleanChannel,
+      dry_run: Boolean(dry_run),
+      reminders: reminders,
+      skipped: skipped,
+    };
+  } catch (error) {
+    _logError("sendPaymentReminders", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
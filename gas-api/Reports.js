@@ -0,0 +1,481 @@
+/**
+ * Reporting Functions
+ * Read-only views built on top of the customers and monthly sales sheets.
+ * The aging report can also be written to the `ar_aging` sheet.
+ */
+
+// ===  Constants  ===
+const AR_AGING_SHEET_NAME = "ar_aging";
+const AGING_BUCKETS = [
+  { key: "days_0_7", max_days: 7 },
+  { key: "days_8_30", max_days: 30 },
+  { key: "days_31_60", max_days: 60 },
+  { key: "days_over_60", max_days: Infinity },
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/; // e.g. 2025-01-15
+const ANALYTICS_SORT_FIELDS = [
+  "total_spend",
+  "total_quantity",
+  "visits",
+  "average_days_between_visits",
+  "last_purchase_at",
+  "days_since_last_purchase",
+];
+const DEFAULT_ANALYTICS_LIMIT = 50;
+const MAX_ANALYTICS_LIMIT = 500;
+const MIN_LAPSED_DAYS = 7; // Never flag customers seen within the last week
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to parse an optional date filter.
+ * Date-only values are days in the script time zone (`new Date("2025-01-15")`
+ * would be midnight UTC); used as an upper bound they cover the whole day.
+ * @private
+ * @param {string} [value] - An ISO-8601 date (e.g., "2025-01-15") or datetime.
+ * @param {string} field - The field name, used in error messages.
+ * @param {boolean} [endOfDay=false] - Move date-only values to the last millisecond of the day.
+ * @throws {Error} If the value cannot be parsed.
+ * @returns {Date|null} The parsed date, or null when no value was given.
+ */
+function _parseReportDate(value, field, endOfDay = false) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value);
+  const invalid = () =>
+    new Error(`Invalid '${field}'. Use an ISO-8601 date string.`);
+
+  if (DATE_ONLY_REGEX.test(text)) {
+    const timeZone = Session.getScriptTimeZone();
+    const parsed = Utilities.parseDate(
+      `${text} ${endOfDay ? "23:59:59.999" : "00:00:00.000"}`,
+      timeZone,
+      "yyyy-MM-dd HH:mm:ss.SSS",
+    );
+    // parseDate is lenient: "2025-02-30" rolls over to March.
+    if (Utilities.formatDate(parsed, timeZone, "yyyy-MM-dd") !== text) {
+      throw invalid();
+    }
+    return parsed;
+  }
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) throw invalid();
+  return parsed;
+}
+
+/**
+ * Private helper to create a zeroed amount for each aging bucket.
+ * @private
+ * @returns {Object<string, number>} A map of bucket key to 0.
+ */
+function _emptyAgingBuckets() {
+  const buckets = {};
+  AGING_BUCKETS.forEach((bucket) => {
+    buckets[bucket.key] = 0;
+  });
+  return buckets;
+}
+
+/**
+ * Private helper to find the aging bucket for a sale's age.
+ * @private
+ * @param {number} ageDays - Whole days since the sale.
+ * @returns {string} The bucket key (e.g., "days_8_30").
+ */
+function _agingBucketFor(ageDays) {
+  return AGING_BUCKETS.find((bucket) => ageDays <= bucket.max_days).key;
+}
+
+/**
+ * Private helper to overwrite the `ar_aging` sheet with a report, one row per
+ * customer followed by a totals row.
+ * @private
+ * @param {Object} report - The report from `getAgingReport`.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The written sheet.
+ */
+function _writeAgingSheet(report) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet =
+    ss.getSheetByName(AR_AGING_SHEET_NAME) ||
+    ss.insertSheet(AR_AGING_SHEET_NAME);
+  const bucketKeys = AGING_BUCKETS.map((bucket) => bucket.key);
+
+  const rows = [
+    [
+      "customer_id",
+      "name",
+      "phone",
+      ...bucketKeys,
+      "total",
+      "oldest_sale_datetime",
+    ],
+    ...report.customers.map((customer) => [
+      customer.customer_id,
+      customer.name,
+      customer.phone,
+      ...bucketKeys.map((key) => customer.buckets[key]),
+      customer.total,
+      customer.oldest_sale_datetime,
+    ]),
+    [
+      "TOTAL",
+      "",
+      "",
+      ...bucketKeys.map((key) => report.totals[key]),
+      report.total_outstanding,
+      "",
+    ],
+  ];
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sheet
+    .getRange(rows.length + 2, 1)
+    .setValue(`As of ${report.as_of}, generated at ${report.generated_at}`);
+  console.log(`Sheet \`${AR_AGING_SHEET_NAME}\` updated`);
+  return sheet;
+}
+
+/**
+ * Private helper to collect each customer's purchase history from every
+ * monthly sales sheet. Voided and refunded sales are left out.
+ * @private
+ * @param {Date} asOf - Sales after this date are ignored.
+ * @returns {Object<string, {total_spend: number, total_quantity: number, days: Set<string>, timestamps: Array<number>}>} A map of customer ID to purchase totals.
+ */
+function _collectPurchaseHistory(asOf) {
+  const history = {};
+  _getSalesSheetsOldestFirst().forEach((sheet) => {
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    data
+      .map((row) => _rowToSaleObject(row, headers))
+      .filter((sale) => !_isReversedSale(sale))
+      .forEach((sale) => {
+        const timestamp = _saleTimestamp(sale.sale_datetime);
+        if (!timestamp || timestamp > asOf.getTime()) return;
+
+        if (!history[sale.customer_id]) {
+          history[sale.customer_id] = {
+            total_spend: 0,
+            total_quantity: 0,
+            days: new Set(),
+            timestamps: [],
+          };
+        }
+        const entry = history[sale.customer_id];
+        entry.total_spend += Number(sale.total_price) || 0;
+        entry.total_quantity += Number(sale.quantity) || 0;
+        // Several sales on the same day count as one visit.
+        const day = _formatSaleDate(new Date(timestamp), "yyyy-MM-dd");
+        if (!entry.days.has(day)) {
+          entry.days.add(day);
+          entry.timestamps.push(timestamp);
+        }
+      });
+  });
+  return history;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Builds an account statement for a customer across every monthly sales sheet.
+ * Months marked "settled" in `sales_summary` are skipped unless `include_settled`
+ * is set: they cannot change the outstanding balance, only the billed/paid totals.
+ * Voided and refunded sales are listed but do not count towards any total.
+ * @param {string} customerId - The customer ID (e.g., "C00001").
+ * @param {Object} [options] - Statement filters.
+ * @param {string} [options.from] - ISO-8601 start date (inclusive).
+ * @param {string} [options.to] - ISO-8601 end date (inclusive).
+ * @param {boolean} [options.include_settled=false] - Also read months already settled.
+ * @returns {{success: boolean, customer: Object, lines: Array<Object>, total_billed: number, total_paid: number, outstanding_balance: number, skipped_months: Array<string>}|{success: boolean, error: string}} The statement on success, or an error message on failure.
+ */
+function getCustomerStatement(customerId, options = {}) {
+  try {
+    const customer = findCustomerById(customerId);
+    if (!customer) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customerId}' not found`,
+      );
+    }
+
+    const from = _parseReportDate(options.from, "from");
+    const to = _parseReportDate(options.to, "to", true);
+    const fromMonth = from ? `sales_${_formatSaleDate(from, "yyyy_MM")}` : "";
+    const toMonth = to ? `sales_${_formatSaleDate(to, "yyyy_MM")}` : "";
+    const summaryStatus = options.include_settled
+      ? {}
+      : _getSummaryStatusMap();
+
+    const lines = [];
+    const skippedMonths = [];
+
+    _getSalesSheetsOldestFirst().forEach((sheet) => {
+      const name = sheet.getName();
+      if ((fromMonth && name < fromMonth) || (toMonth && name > toMonth)) {
+        return;
+      }
+      if (summaryStatus[name] === "settled") {
+        skippedMonths.push(name);
+        return;
+      }
+
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift();
+      data
+        .map((row) => _rowToSaleObject(row, headers))
+        .filter((sale) => sale.customer_id === customerId)
+        .filter((sale) => {
+          const timestamp = _saleTimestamp(sale.sale_datetime);
+          if (from && timestamp < from.getTime()) return false;
+          if (to && timestamp > to.getTime()) return false;
+          return true;
+        })
+        .sort(
+          (a, b) =>
+            _saleTimestamp(a.sale_datetime) - _saleTimestamp(b.sale_datetime),
+        )
+        .forEach((sale) => lines.push({ ...sale, sales_sheet: name }));
+    });
+
+    let runningBalance = 0;
+    let totalBilled = 0;
+    let totalPaid = 0;
+    lines.forEach((line) => {
+      if (_isReversedSale(line)) {
+        line.running_balance = runningBalance;
+        return;
+      }
+      totalBilled += Number(line.total_price) || 0;
+      totalPaid += Number(line.amount_paid) || 0;
+      runningBalance += Number(line.pending_balance) || 0;
+      line.running_balance = runningBalance;
+    });
+
+    return {
+      success: true,
+      customer: customer,
+      lines: lines,
+      total_billed: totalBilled,
+      total_paid: totalPaid,
+      outstanding_balance: runningBalance,
+      skipped_months: skippedMonths,
+    };
+  } catch (error) {
+    _logError("getCustomerStatement", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Builds an accounts-receivable aging report: every customer's outstanding
+ * `pending_balance`, grouped by how many days have passed since `sale_datetime`
+ * (0-7, 8-30, 31-60 and over 60 days). Months marked "settled" in
+ * `sales_summary` have nothing outstanding and are skipped.
+ * @param {Object} [options] - Report options.
+ * @param {string} [options.as_of] - ISO-8601 date to count ages from. Defaults to now; later sales are left out.
+ * @param {boolean} [options.write_sheet=false] - Also write the report to the `ar_aging` sheet.
+ * @returns {{success: boolean, as_of: string, generated_at: string, buckets: Array<string>, customers: Array<Object>, totals: Object<string, number>, total_outstanding: number}|{success: boolean, error: string}} The report on success, customers with the largest balance first, or an error message on failure.
+ */
+function getAgingReport(options = {}) {
+  try {
+    const now = new Date();
+    const asOf = _parseReportDate(options.as_of, "as_of", true) || now;
+    const summaryStatus = _getSummaryStatusMap();
+    const customersById = {};
+    getAllCustomers().forEach((customer) => {
+      customersById[customer.customer_id] = customer;
+    });
+
+    const byCustomer = {};
+    _getSalesSheetsOldestFirst().forEach((sheet) => {
+      if (summaryStatus[sheet.getName()] === "settled") return;
+
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift();
+      data
+        .map((row) => _rowToSaleObject(row, headers))
+        .filter((sale) => Number(sale.pending_balance) > 0)
+        .forEach((sale) => {
+          const timestamp = _saleTimestamp(sale.sale_datetime);
+          if (timestamp > asOf.getTime()) return;
+
+          let entry = byCustomer[sale.customer_id];
+          if (!entry) {
+            const customer = customersById[sale.customer_id] || {};
+            entry = byCustomer[sale.customer_id] = {
+              customer_id: sale.customer_id,
+              name: [customer.first_name, customer.last_name]
+                .filter(Boolean)
+                .join(" "),
+              phone: customer.phone || "",
+              buckets: _emptyAgingBuckets(),
+              total: 0,
+              oldest_sale_datetime: "",
+              oldestTimestamp: Infinity,
+            };
+          }
+
+          const ageDays = Math.floor((asOf.getTime() - timestamp) / DAY_MS);
+          const pending = Number(sale.pending_balance);
+          entry.buckets[_agingBucketFor(ageDays)] += pending;
+          entry.total += pending;
+          if (timestamp < entry.oldestTimestamp) {
+            entry.oldestTimestamp = timestamp;
+            entry.oldest_sale_datetime = _formatSaleDate(new Date(timestamp));
+          }
+        });
+    });
+
+    const customers = Object.values(byCustomer)
+      .map(({ oldestTimestamp, ...entry }) => entry)
+      .sort((a, b) => b.total - a.total);
+    const totals = _emptyAgingBuckets();
+    customers.forEach((customer) => {
+      AGING_BUCKETS.forEach(({ key }) => {
+        totals[key] += customer.buckets[key];
+      });
+    });
+
+    const report = {
+      as_of: _formatSaleDate(asOf),
+      generated_at: _formatSaleDate(now),
+      buckets: AGING_BUCKETS.map((bucket) => bucket.key),
+      customers: customers,
+      totals: totals,
+      total_outstanding: customers.reduce((sum, c) => sum + c.total, 0),
+    };
+    if (options.write_sheet) _writeAgingSheet(report);
+
+    return { success: true, ...report };
+  } catch (error) {
+    _logError("getAgingReport", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Builds purchase analytics for every customer from the monthly sales sheets:
+ * total spend, units bought, visits (days with at least one purchase), average
+ * days between visits, last purchase and a `lapsed` flag. A customer is lapsed
+ * when the days since their last visit exceed `lapsed_gap_factor` times their
+ * average gap (and at least a week); customers with fewer than two visits have
+ * no usual gap and are never flagged. Voided and refunded sales are ignored.
+ * @param {Object} [options] - Sorting, filtering and paging options.
+ * @param {string} [options.sort_by="total_spend"] - One of `ANALYTICS_SORT_FIELDS`.
+ * @param {string} [options.order="desc"] - "asc" or "desc". Customers without a value for the sort field come last.
+ * @param {boolean} [options.lapsed_only=false] - Only return lapsed customers.
+ * @param {number} [options.min_visits=0] - Only return customers with at least this many visits.
+ * @param {string} [options.as_of] - ISO-8601 date the analysis is made at. Defaults to now.
+ * @param {number} [options.limit=50] - Maximum number of customers to return (up to 500).
+ * @param {number} [options.offset=0] - Number of sorted customers to skip.
+ * @returns {{success: boolean, as_of: string, total: number, limit: number, offset: number, results: Array<Object>}|{success: boolean, error: string}} A page of customer analytics on success, or an error message on failure.
+ */
+function getCustomerAnalytics({
+  sort_by,
+  order,
+  lapsed_only,
+  min_visits,
+  as_of,
+  limit,
+  offset,
+} = {}) {
+  try {
+    const sortBy = sort_by || "total_spend";
+    if (!ANALYTICS_SORT_FIELDS.includes(sortBy)) {
+      throw new Error(
+        `Field 'sort_by' must be one of: ${ANALYTICS_SORT_FIELDS.join(", ")}`,
+      );
+    }
+    const cleanOrder = String(order || "desc").toLowerCase();
+    if (cleanOrder !== "asc" && cleanOrder !== "desc") {
+      throw new Error("Field 'order' must be 'asc' or 'desc'");
+    }
+    const minVisits =
+      min_visits === undefined || min_visits === null || min_visits === ""
+        ? 0
+        : Number(min_visits);
+    if (!Number.isInteger(minVisits) || minVisits < 0) {
+      throw new Error("Field 'min_visits' must be zero or a positive integer");
+    }
+    const cleanLimit =
+      limit === undefined || limit === null || limit === ""
+        ? DEFAULT_ANALYTICS_LIMIT
+        : Number(limit);
+    if (!Number.isInteger(cleanLimit) || cleanLimit <= 0) {
+      throw new Error("Field 'limit' must be a positive integer");
+    }
+    const cleanOffset =
+      offset === undefined || offset === null || offset === ""
+        ? 0
+        : Number(offset);
+    if (!Number.isInteger(cleanOffset) || cleanOffset < 0) {
+      throw new Error("Field 'offset' must be zero or a positive integer");
+    }
+    const pageSize = Math.min(cleanLimit, MAX_ANALYTICS_LIMIT);
+
+    const asOf = _parseReportDate(as_of, "as_of", true) || new Date();
+    const gapFactor = _getSetting("lapsed_gap_factor");
+    const history = _collectPurchaseHistory(asOf);
+
+    const analytics = getAllCustomers().map((customer) => {
+      const entry = history[customer.customer_id];
+      const visits = entry ? entry.timestamps.length : 0;
+      const first = visits ? Math.min(...entry.timestamps) : null;
+      const last = visits ? Math.max(...entry.timestamps) : null;
+      const averageGap =
+        visits >= 2
+          ? Math.round(((last - first) / DAY_MS / (visits - 1)) * 10) / 10
+          : null;
+      const daysSinceLast =
+        last === null ? null : Math.floor((asOf.getTime() - last) / DAY_MS);
+
+      return {
+        customer_id: customer.customer_id,
+        name: [customer.first_name, customer.last_name]
+          .filter(Boolean)
+          .join(" "),
+        phone: customer.phone,
+        total_spend: entry ? entry.total_spend : 0,
+        total_quantity: entry ? entry.total_quantity : 0,
+        visits: visits,
+        average_days_between_visits: averageGap,
+        last_purchase_at: last === null ? "" : _formatSaleDate(new Date(last)),
+        days_since_last_purchase: daysSinceLast,
+        lapsed:
+          averageGap !== null &&
+          daysSinceLast >= MIN_LAPSED_DAYS &&
+          daysSinceLast > averageGap * gapFactor,
+      };
+    });
+
+    const direction = cleanOrder === "asc" ? 1 : -1;
+    const results = analytics
+      .filter((customer) => customer.visits >= minVisits)
+      .filter((customer) => !lapsed_only || customer.lapsed)
+      .sort((a, b) => {
+        const aValue = a[sortBy];
+        const bValue = b[sortBy];
+        const aMissing = aValue === null || aValue === "";
+        const bMissing = bValue === null || bValue === "";
+        if (aMissing || bMissing) return aMissing - bMissing;
+        if (aValue === bValue) return 0;
+        return (aValue > bValue ? 1 : -1) * direction;
+      });
+
+    return {
+      success: true,
+      as_of: _formatSaleDate(asOf),
+      total: results.length,
+      limit: pageSize,
+      offset: cleanOffset,
+      results: results.slice(cleanOffset, cleanOffset + pageSize),
+    };
+  } catch (error) {
+    _logError("getCustomerAnalytics", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
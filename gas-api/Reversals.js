@@ -0,0 +1,246 @@
+/**
+ * Sale Reversals
+ * Voids and refunds sales without deleting their rows. The sale keeps its
+ * place in the monthly sheet with a `Voided` or `Refunded` status, and each
+ * reversal is recorded in the `sale_reversals` sheet with its reason and author.
+ */
+
+// ===  Constants  ===
+const REVERSALS_SHEET_NAME = "sale_reversals";
+const REVERSAL_TYPES = {
+  VOID: "void",
+  REFUND: "refund",
+};
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to get or create the `sale_reversals` sheet.
+ * @private
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The reversals sheet.
+ */
+function _getReversalsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(REVERSALS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(REVERSALS_SHEET_NAME);
+    sheet.appendRow([
+      "reversal_id",
+      "type",
+      "sale_id",
+      "sales_sheet",
+      "customer_id",
+      "reversal_amount",
+      "reason",
+      "performed_by",
+      "created_at",
+    ]);
+    console.log("Sheet `sale_reversals` created");
+  }
+  return sheet;
+}
+
+/**
+ * Private helper to find a sale that can still be reversed.
+ * @private
+ * @param {string} saleId - The sale ID.
+ * @param {string} [month] - Month in YYYY-MM format, for legacy sale IDs.
+ * @param {string} reason - The reversal reason.
+ * @throws {Error} If the reason is missing, or the sale does not exist or was already reversed.
+ * @returns {{sale: Object, rowIndex: number, headers: Array<string>, sheet: GoogleAppsScript.Spreadsheet.Sheet}} The sale record.
+ */
+function _findReversibleSale(saleId, month, reason) {
+  if (!saleId) {
+    throw new Error("Field 'sale_id' is required");
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error("Field 'reason' is required");
+  }
+
+  const saleRecord = _findSaleAndIndex(saleId, month);
+  if (!saleRecord) {
+    throw _createError(ERROR_CODES.NOT_FOUND, `Sale '${saleId}' not found`);
+  }
+  if (_isReversedSale(saleRecord.sale)) {
+    throw _createError(
+      ERROR_CODES.CONFLICT,
+      `Sale '${saleId}' is already ${saleRecord.sale.status.toLowerCase()}`,
+    );
+  }
+  return saleRecord;
+}
+
+/**
+ * Private helper to update a reversed sale row, record the reversal and undo
+ * the sale's loyalty stamps and promotion use. A refund's ledger entry is
+ * written with them; if any write fails, the earlier ones are taken back.
+ * @private
+ * @param {Object} saleRecord - The sale record from `_findReversibleSale`.
+ * @param {Object} changes - The sale fields to overwrite.
+ * @param {Object} reversal - The reversal details (`type`, `reversal_amount`, `reason`, `performed_by`).
+ * @param {Object} [payment] - The ledger entry to record, for refunds (see `_appendPaymentRecord`).
+ * @returns {{sale: Object, reversal: Object, payment: Object}} The updated sale, the stored reversal record and the stored ledger entry. `payment` is only set for refunds.
+ */
+function _applyReversal(saleRecord, changes, reversal, payment) {
+  const { sale, rowIndex, headers, sheet } = saleRecord;
+  const updatedSale = { ...sale, ...changes };
+  const nextIdNum = _incrementSettingsCounter("last_reversal_id_number");
+  const record = {
+    reversal_id: `R${String(nextIdNum).padStart(5, "0")}`,
+    type: reversal.type,
+    sale_id: sale.sale_id,
+    sales_sheet: sheet.getName(),
+    customer_id: sale.customer_id,
+    reversal_amount: reversal.reversal_amount,
+    reason: String(reversal.reason).trim(),
+    performed_by: reversal.performed_by || "",
+    created_at: _formatSaleDate(new Date()),
+  };
+  const reversalsSheet = _getReversalsSheet();
+  const reversalHeaders = reversalsSheet
+    .getRange(1, 1, 1, reversalsSheet.getLastColumn())
+    .getValues()[0];
+  const loyaltySheet = _getLoyaltySheet();
+  const paymentsSheet = _getPaymentsSheet();
+
+  const result = { sale: updatedSale, reversal: record };
+  const undo = [];
+  try {
+    _setRowWithUndo(
+      undo,
+      sheet,
+      rowIndex,
+      headers.map((header) =>
+        updatedSale[header] === undefined ? "" : updatedSale[header],
+      ),
+    );
+    _appendWithUndo(undo, reversalsSheet, () =>
+      reversalsSheet.appendRow(
+        reversalHeaders.map((header) =>
+          record[header] === undefined ? "" : record[header],
+        ),
+      ),
+    );
+    _appendWithUndo(undo, loyaltySheet, () =>
+      _reverseLoyaltyStamps(sale, sheet.getName()),
+    );
+    if (payment) {
+      result.payment = _appendWithUndo(undo, paymentsSheet, () =>
+        _appendPaymentRecord(payment),
+      );
+    }
+    // Last, so that a failed reversal never gives the use back.
+    if (sale.promo_id) _recordPromotionUse(sale.promo_id, -1);
+  } catch (error) {
+    undo.reverse().forEach((step) => step());
+    throw error;
+  }
+
+  // The month may have just lost its last pending balance.
+  updateSalesSummary();
+
+  return result;
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Voids a mistaken sale that has not been paid. The row is kept with the
+ * `Voided` status and a zero pending balance. Paid sales must be refunded instead.
+ * @param {Object} voidData - The void information.
+ * @param {string} voidData.sale_id - The ID of the sale to void.
+ * @param {string} [voidData.month] - Month in YYYY-MM format, for legacy sale IDs.
+ * @param {string} voidData.reason - Why the sale is voided.
+ * @param {string} [voidData.performed_by] - Who voided the sale.
+ * @returns {{success: boolean, sale: Object, reversal: Object}|{success: boolean, error: string}} The updated sale and reversal record on success, or an error message on failure.
+ */
+function voidSale({ sale_id, month, reason, performed_by }) {
+  try {
+    const saleRecord = _findReversibleSale(sale_id, month, reason);
+    // A void rewrites the sale's own day, so that day must still be open.
+    _assertDayOpen(saleRecord.sale.sale_datetime);
+    if ((Number(saleRecord.sale.amount_paid) || 0) > 0) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Sale '${sale_id}' has payments. Refund it instead of voiding it.`,
+      );
+    }
+
+    const result = _applyReversal(
+      saleRecord,
+      { pending_balance: 0, status: SALE_STATUS.VOIDED },
+      {
+        type: REVERSAL_TYPES.VOID,
+        reversal_amount: Number(saleRecord.sale.total_price) || 0,
+        reason: reason,
+        performed_by: performed_by,
+      },
+    );
+
+    console.log(`Sale ${sale_id} voided`);
+    return { success: true, ...result };
+  } catch (error) {
+    _logError("voidSale", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Refunds a sale. Everything paid is returned to the customer: a negative
+ * entry is added to the `payments` ledger, and the row is kept with the
+ * `Refunded` status, no amount paid and a zero pending balance.
+ * @param {Object} refundData - The refund information.
+ * @param {string} refundData.sale_id - The ID of the sale to refund.
+ * @param {string} [refundData.month] - Month in YYYY-MM format, for legacy sale IDs.
+ * @param {string} refundData.reason - Why the sale is refunded.
+ * @param {string} [refundData.method="cash"] - How the money is returned, one of `PAYMENT_METHODS`.
+ * @param {string} [refundData.performed_by] - Who refunded the sale.
+ * @returns {{success: boolean, sale: Object, reversal: Object, payment: Object}|{success: boolean, error: string}} The updated sale, reversal record and ledger entry on success, or an error message on failure.
+ */
+function refundSale({ sale_id, month, reason, method, performed_by }) {
+  try {
+    const saleRecord = _findReversibleSale(sale_id, month, reason);
+    const { sale, sheet } = saleRecord;
+    const amountPaid = Number(sale.amount_paid) || 0;
+    if (amountPaid <= 0) {
+      throw _createError(
+        ERROR_CODES.CONFLICT,
+        `Sale '${sale_id}' has no payments to refund. Void it instead.`,
+      );
+    }
+
+    // The refund is paid out today, so today's drawer must still be open.
+    const refundDate = new Date();
+    _assertDayOpen(refundDate);
+    const refundedAt = _formatSaleDate(refundDate);
+    const result = _applyReversal(
+      saleRecord,
+      {
+        amount_paid: 0,
+        pending_balance: 0,
+        status: SALE_STATUS.REFUNDED,
+        last_payment_datetime: refundedAt,
+      },
+      {
+        type: REVERSAL_TYPES.REFUND,
+        reversal_amount: amountPaid,
+        reason: reason,
+        performed_by: performed_by,
+      },
+      {
+        sale_id: sale.sale_id,
+        sales_sheet: sheet.getName(),
+        customer_id: sale.customer_id,
+        amount: -amountPaid,
+        method: _validatePaymentMethod(method),
+        paid_at: refundedAt,
+      },
+    );
+
+    console.log(`Sale ${sale_id} refunded (${amountPaid})`);
+    return { success: true, ...result };
+  } catch (error) {
+    _logError("refundSale", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -3,73 +3,879 @@
  * This script acts as a web app backend for a simple Customer Management System.
  * It handles GET requests to fetch data and POST requests to create or update data.
  * The script is designed to be deployed as a Google Apps Script web app.
+ *
+ * Every action is declared once in `ACTIONS`: its handler, the HTTP methods it
+ * accepts, its aliases, the minimum API key role and the schema of its input.
+ * `doGet` and `doPost` only parse the request, authenticate the `api_key` and
+ * hand it to `_executeAction`.
+ */
+
+// ===  Constants  ===
+/**
+ * The action registry. Keys are canonical action names.
+ * - `methods`: HTTP methods the action may be called with.
+ * - `aliases`: alternative names accepted for the action (e.g., legacy camelCase names).
+ * - `role`: minimum API key role (see `API_ROLES`). Actions without a role are public.
+ * - `locked`: run the handler under the script lock (see `_withScriptLock`). Set on every write.
+ * - `sheets`: the sheets a write may change; a trailing `*` matches any suffix
+ *   (e.g., `sales_*` for the monthly sales sheets). Atomic batches snapshot only
+ *   these sheets, and reject writes without them: those have effects outside
+ *   the spreadsheet (emails, triggers) or change its layout, and cannot be undone.
+ * - `schema`: input fields, as `{ type, required }`. Unknown fields are passed through.
+ * - `resultKey`: when set, only this property of the handler result is returned as `data`.
+ * - `handler`: receives the validated params and the request context (`{ method, caller }`) and returns the result.
+ */
+const ACTIONS = {
+  health: {
+    methods: ["GET"],
+    aliases: [],
+    handler: () => _healthCheck(),
+  },
+  batch: {
+    methods: ["POST"],
+    aliases: [],
+    role: "reader",
+    locked: true,
+    schema: {
+      items: { type: "array", required: true },
+      atomic: { type: "boolean" },
+    },
+    handler: (params, context) =>
+      runBatch(params.items, params.atomic, context.caller),
+  },
+  setup: {
+    methods: ["GET", "POST"],
+    aliases: [],
+    role: "admin",
+    locked: true,
+    handler: () => setupSpreadsheets(),
+  },
+  get_schema_status: {
+    methods: ["GET"],
+    aliases: ["getSchemaStatus"],
+    role: "admin",
+    handler: () => getSchemaStatus(),
+  },
+  run_migrations: {
+    methods: ["POST"],
+    aliases: ["runMigrations"],
+    role: "admin",
+    locked: true,
+    schema: {
+      dry_run: { type: "boolean" },
+      target_version: { type: "number" },
+    },
+    handler: (params) => runMigrations(params),
+  },
+
+  // --- Customers ---
+  get_all_customers: {
+    methods: ["GET"],
+    aliases: ["getAllCustomers"],
+    role: "reader",
+    handler: () => getAllCustomers(),
+  },
+  find_customer_by_id: {
+    methods: ["GET"],
+    aliases: ["findCustomerById"],
+    role: "reader",
+    schema: { customer_id: { type: "string", required: true } },
+    handler: (params) => findCustomerById(params.customer_id),
+  },
+  find_customer_by_phone: {
+    methods: ["GET"],
+    aliases: ["findCustomerByPhone"],
+    role: "reader",
+    schema: { phone: { type: "string", required: true } },
+    handler: (params) => findCustomerByPhone(params.phone),
+  },
+  find_customer_by_email: {
+    methods: ["GET"],
+    aliases: ["findCustomerByEmail"],
+    role: "reader",
+    schema: { email: { type: "string", required: true } },
+    handler: (params) => findCustomerByEmail(params.email),
+  },
+  search_customers: {
+    methods: ["GET"],
+    aliases: ["searchCustomers"],
+    role: "reader",
+    schema: {
+      query: { type: "string", required: true },
+      limit: { type: "number" },
+      offset: { type: "number" },
+    },
+    handler: (params) => searchCustomers(params),
+  },
+  register_customer: {
+    methods: ["POST"],
+    aliases: ["registerCustomer"],
+    role: "cashier",
+    locked: true,
+    sheets: ["customers", "settings"],
+    schema: {
+      first_name: { type: "string", required: true },
+      last_name: { type: "string", required: true },
+      phone: { type: "string", required: true },
+      email: { type: "string" },
+    },
+    resultKey: "customer",
+    handler: (params) => registerCustomer(params),
+  },
+  update_customer: {
+    methods: ["POST"],
+    aliases: ["updateCustomer"],
+    role: "cashier",
+    locked: true,
+    sheets: ["customers"],
+    schema: {
+      customer_id: { type: "string", required: true },
+      first_name: { type: "string" },
+      last_name: { type: "string" },
+      phone: { type: "string" },
+      email: { type: "string" },
+    },
+    resultKey: "customer",
+    handler: (params) => updateCustomer(params),
+  },
+  set_credit_limit: {
+    methods: ["POST"],
+    aliases: ["setCustomerCreditLimit"],
+    role: "admin",
+    locked: true,
+    sheets: ["customers"],
+    schema: {
+      customer_id: { type: "string", required: true },
+      credit_limit: { type: "number" },
+    },
+    resultKey: "customer",
+    handler: (params) => setCustomerCreditLimit(params),
+  },
+  get_customer_statement: {
+    methods: ["GET"],
+    aliases: ["getCustomerStatement"],
+    role: "reader",
+    schema: {
+      customer_id: { type: "string", required: true },
+      from: { type: "string" },
+      to: { type: "string" },
+      include_settled: { type: "boolean" },
+    },
+    handler: (params) =>
+      getCustomerStatement(params.customer_id, {
+        from: params.from,
+        to: params.to,
+        include_settled: params.include_settled,
+      }),
+  },
+  get_customer_analytics: {
+    methods: ["GET"],
+    aliases: ["getCustomerAnalytics"],
+    role: "reader",
+    schema: {
+      sort_by: { type: "string" },
+      order: { type: "string" },
+      lapsed_only: { type: "boolean" },
+      min_visits: { type: "number" },
+      as_of: { type: "string" },
+      limit: { type: "number" },
+      offset: { type: "number" },
+    },
+    handler: (params) => getCustomerAnalytics(params),
+  },
+  get_ar_aging: {
+    methods: ["GET"],
+    aliases: ["getAgingReport"],
+    role: "reader",
+    schema: { as_of: { type: "string" } },
+    handler: (params) => getAgingReport({ as_of: params.as_of }),
+  },
+  write_ar_aging: {
+    methods: ["POST"],
+    aliases: [],
+    role: "cashier",
+    locked: true,
+    sheets: ["ar_aging"],
+    schema: { as_of: { type: "string" } },
+    handler: (params) =>
+      getAgingReport({ as_of: params.as_of, write_sheet: true }),
+  },
+
+  // --- Sales ---
+  register_sale: {
+    methods: ["POST"],
+    aliases: ["registerSale"],
+    role: "cashier",
+    locked: true,
+    sheets: [
+      "sales_*",
+      "settings",
+      "sale_items",
+      "promotions",
+      "loyalty_ledger",
+      "payments",
+      "sales_summary",
+    ],
+    schema: {
+      customer_id: { type: "string", required: true },
+      items: { type: "array" },
+      quantity: { type: "number" },
+      promo_code: { type: "string" },
+      amount_paid: { type: "number" },
+      sale_date: { type: "string" },
+      payment_method: { type: "string" },
+    },
+    resultKey: "sale",
+    handler: (params) => registerSale(params),
+  },
+  get_sale_by_id: {
+    methods: ["GET"],
+    aliases: ["getSaleById"],
+    role: "reader",
+    schema: {
+      sale_id: { type: "string", required: true },
+      month: { type: "string" },
+    },
+    resultKey: "sale",
+    handler: (params) => getSaleById(params.sale_id, params.month),
+  },
+  migrate_sale_ids: {
+    methods: ["POST"],
+    aliases: ["migrateLegacySaleIds"],
+    role: "admin",
+    locked: true,
+    sheets: ["sales_*", "payments"],
+    handler: () => migrateLegacySaleIds(),
+  },
+  void_sale: {
+    methods: ["POST"],
+    aliases: ["voidSale"],
+    role: "cashier",
+    locked: true,
+    sheets: [
+      "sales_*",
+      "settings",
+      "sale_reversals",
+      "loyalty_ledger",
+      "sales_summary",
+    ],
+    schema: {
+      sale_id: { type: "string", required: true },
+      month: { type: "string" },
+      reason: { type: "string", required: true },
+    },
+    handler: (params, context) =>
+      voidSale({ ...params, performed_by: _describeCaller(context.caller) }),
+  },
+  refund_sale: {
+    methods: ["POST"],
+    aliases: ["refundSale"],
+    role: "admin",
+    locked: true,
+    sheets: [
+      "sales_*",
+      "settings",
+      "sale_reversals",
+      "loyalty_ledger",
+      "payments",
+      "sales_summary",
+    ],
+    schema: {
+      sale_id: { type: "string", required: true },
+      month: { type: "string" },
+      reason: { type: "string", required: true },
+      method: { type: "string" },
+    },
+    handler: (params, context) =>
+      refundSale({ ...params, performed_by: _describeCaller(context.caller) }),
+  },
+  list_products: {
+    methods: ["GET"],
+    aliases: ["getProducts"],
+    role: "reader",
+    schema: { include_inactive: { type: "boolean" } },
+    handler: (params) => getProducts(params),
+  },
+  create_product: {
+    methods: ["POST"],
+    aliases: ["createProduct"],
+    role: "admin",
+    locked: true,
+    sheets: ["products"],
+    schema: {
+      sku: { type: "string", required: true },
+      name: { type: "string", required: true },
+      price: { type: "number", required: true },
+      active: { type: "boolean" },
+    },
+    resultKey: "product",
+    handler: (params) => createProduct(params),
+  },
+  update_product: {
+    methods: ["POST"],
+    aliases: ["updateProduct"],
+    role: "admin",
+    locked: true,
+    sheets: ["products"],
+    schema: {
+      sku: { type: "string", required: true },
+      name: { type: "string" },
+      price: { type: "number" },
+      active: { type: "boolean" },
+    },
+    resultKey: "product",
+    handler: (params) => updateProduct(params),
+  },
+  get_loyalty_status: {
+    methods: ["GET"],
+    aliases: ["getLoyaltyStatus"],
+    role: "reader",
+    schema: { customer_id: { type: "string", required: true } },
+    resultKey: "loyalty",
+    handler: (params) => getLoyaltyStatus(params.customer_id),
+  },
+  redeem_reward: {
+    methods: ["POST"],
+    aliases: ["redeemReward"],
+    role: "cashier",
+    locked: true,
+    sheets: [
+      "sales_*",
+      "settings",
+      "sale_items",
+      "promotions",
+      "loyalty_ledger",
+      "payments",
+      "sales_summary",
+    ],
+    schema: {
+      customer_id: { type: "string", required: true },
+      sale_date: { type: "string" },
+    },
+    handler: (params) => redeemReward(params),
+  },
+  list_promotions: {
+    methods: ["GET"],
+    aliases: ["getPromotions"],
+    role: "reader",
+    schema: { include_inactive: { type: "boolean" } },
+    handler: (params) => getPromotions(params),
+  },
+  create_promotion: {
+    methods: ["POST"],
+    aliases: ["createPromotion"],
+    role: "admin",
+    locked: true,
+    sheets: ["promotions", "settings"],
+    schema: {
+      name: { type: "string", required: true },
+      type: { type: "string", required: true },
+      value: { type: "number" },
+      sku: { type: "string" },
+      buy_quantity: { type: "number" },
+      get_quantity: { type: "number" },
+      code: { type: "string" },
+      starts_at: { type: "string" },
+      ends_at: { type: "string" },
+      weekdays: { type: "string" },
+      max_uses: { type: "number" },
+      active: { type: "boolean" },
+    },
+    resultKey: "promotion",
+    handler: (params) => createPromotion(params),
+  },
+  update_promotion: {
+    methods: ["POST"],
+    aliases: ["updatePromotion"],
+    role: "admin",
+    locked: true,
+    sheets: ["promotions"],
+    schema: {
+      promo_id: { type: "string", required: true },
+      name: { type: "string" },
+      type: { type: "string" },
+      value: { type: "number" },
+      sku: { type: "string" },
+      buy_quantity: { type: "number" },
+      get_quantity: { type: "number" },
+      code: { type: "string" },
+      starts_at: { type: "string" },
+      ends_at: { type: "string" },
+      weekdays: { type: "string" },
+      max_uses: { type: "number" },
+      active: { type: "boolean" },
+    },
+    resultKey: "promotion",
+    handler: (params) => updatePromotion(params),
+  },
+  list_pending_sales: {
+    methods: ["GET"],
+    aliases: ["getPendingSales"],
+    role: "reader",
+    handler: () => getPendingSales(),
+  },
+  get_sales_summary: {
+    methods: ["GET"],
+    aliases: ["getSalesSummary"],
+    role: "reader",
+    schema: {
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+    handler: (params) => getSalesSummary(params),
+  },
+  update_sales_summary: {
+    methods: ["POST"],
+    aliases: ["updateSalesSummary"],
+    role: "cashier",
+    locked: true,
+    sheets: ["sales_summary"],
+    handler: () => {
+      updateSalesSummary();
+      return { message: "Sales summary updated" };
+    },
+  },
+
+  // --- Payments ---
+  record_payment: {
+    methods: ["POST"],
+    aliases: ["recordPayment"],
+    role: "cashier",
+    locked: true,
+    sheets: ["sales_*", "settings", "payments"],
+    schema: {
+      sale_id: { type: "string", required: true },
+      month: { type: "string" },
+      amount: { type: "number", required: true },
+      method: { type: "string" },
+      paid_at: { type: "string" },
+    },
+    handler: (params) => recordPayment(params),
+  },
+  pay_customer_balance: {
+    methods: ["POST"],
+    aliases: ["payCustomerBalance"],
+    role: "cashier",
+    locked: true,
+    sheets: ["sales_*", "settings", "payments", "sales_summary"],
+    schema: {
+      customer_id: { type: "string", required: true },
+      amount: { type: "number", required: true },
+      method: { type: "string" },
+      paid_at: { type: "string" },
+    },
+    handler: (params) => payCustomerBalance(params),
+  },
+  get_payments_for_sale: {
+    methods: ["GET"],
+    aliases: ["getPaymentsForSale"],
+    role: "reader",
+    schema: {
+      sale_id: { type: "string", required: true },
+      month: { type: "string" },
+    },
+    handler: (params) => getPaymentsForSale(params.sale_id, params.month),
+  },
+
+  preview_payment_reminders: {
+    methods: ["GET"],
+    aliases: [],
+    role: "cashier",
+    schema: {
+      channel: { type: "string" },
+      min_balance: { type: "number" },
+    },
+    handler: (params) => sendPaymentReminders({ ...params, dry_run: true }),
+  },
+  send_payment_reminders: {
+    methods: ["POST"],
+    aliases: ["sendPaymentReminders"],
+    role: "cashier",
+    locked: true,
+    schema: {
+      channel: { type: "string" },
+      customer_ids: { type: "array" },
+      min_balance: { type: "number" },
+      dry_run: { type: "boolean" },
+    },
+    handler: (params, context) =>
+      sendPaymentReminders({
+        ...params,
+        performed_by: _describeCaller(context.caller),
+      }),
+  },
+
+  // --- Cash close ---
+  get_cash_close: {
+    methods: ["GET"],
+    aliases: ["getCashClose"],
+    role: "reader",
+    schema: { business_date: { type: "string" } },
+    handler: (params) => getCashClose(params),
+  },
+  close_business_day: {
+    methods: ["POST"],
+    aliases: ["closeBusinessDay"],
+    role: "cashier",
+    locked: true,
+    sheets: ["cash_closes", "settings"],
+    schema: {
+      business_date: { type: "string" },
+      counted: { type: "object", required: true },
+      notes: { type: "string" },
+    },
+    resultKey: "close",
+    handler: (params, context) =>
+      closeBusinessDay({
+        ...params,
+        performed_by: _describeCaller(context.caller),
+      }),
+  },
+  reopen_business_day: {
+    methods: ["POST"],
+    aliases: ["reopenBusinessDay"],
+    role: "admin",
+    locked: true,
+    sheets: ["cash_closes"],
+    schema: {
+      business_date: { type: "string", required: true },
+      reason: { type: "string", required: true },
+    },
+    handler: (params, context) =>
+      reopenBusinessDay({
+        ...params,
+        performed_by: _describeCaller(context.caller),
+      }),
+  },
+
+  // --- Jobs ---
+  list_jobs: {
+    methods: ["GET"],
+    aliases: ["getJobs"],
+    role: "admin",
+    resultKey: "jobs",
+    handler: () => getJobs(),
+  },
+  install_job: {
+    methods: ["POST"],
+    aliases: ["installJob"],
+    role: "admin",
+    locked: true,
+    schema: {
+      job: { type: "string", required: true },
+      every_hours: { type: "number" },
+      at_hour: { type: "number" },
+      week_day: { type: "string" },
+      month_day: { type: "number" },
+    },
+    handler: (params) => installJob(params),
+  },
+  remove_job: {
+    methods: ["POST"],
+    aliases: ["removeJob"],
+    role: "admin",
+    locked: true,
+    schema: { job: { type: "string", required: true } },
+    handler: (params) => removeJob(params),
+  },
+  run_job: {
+    methods: ["POST"],
+    aliases: ["runJobNow"],
+    role: "admin",
+    locked: true,
+    schema: { job: { type: "string", required: true } },
+    resultKey: "run",
+    handler: (params, context) =>
+      runJobNow({
+        job: params.job,
+        performed_by: _describeCaller(context.caller),
+      }),
+  },
+
+  // --- Settings ---
+  get_settings: {
+    methods: ["GET"],
+    aliases: ["getSettings"],
+    role: "admin",
+    resultKey: "settings",
+    handler: () => getSettings(),
+  },
+  update_settings: {
+    methods: ["POST"],
+    aliases: ["updateSettings"],
+    role: "admin",
+    locked: true,
+    sheets: ["settings"],
+    schema: { settings: { type: "object", required: true } },
+    resultKey: "settings",
+    handler: (params) => updateSettings(params),
+  },
+
+  // --- API keys ---
+  create_api_key: {
+    methods: ["POST"],
+    aliases: ["createApiKey"],
+    role: "admin",
+    locked: true,
+    sheets: ["api_keys", "settings"],
+    schema: {
+      label: { type: "string", required: true },
+      role: { type: "string", required: true },
+    },
+    handler: (params) => createApiKey(params),
+  },
+  revoke_api_key: {
+    methods: ["POST"],
+    aliases: ["revokeApiKey"],
+    role: "admin",
+    locked: true,
+    sheets: ["api_keys"],
+    schema: { key_id: { type: "string", required: true } },
+    resultKey: "key",
+    handler: (params) => revokeApiKey(params),
+  },
+  list_api_keys: {
+    methods: ["GET"],
+    aliases: ["getAllApiKeys"],
+    role: "admin",
+    handler: () => getAllApiKeys(),
+  },
+};
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to serialize a response envelope as JSON.
+ * @private
+ * @param {Object} payload - The response envelope.
+ * @returns {ContentService.TextOutput} The JSON text output.
+ */
+function _jsonResponse(payload) {
+  return ContentService.createTextOutput(JSON.stringify(payload)).setMimeType(
+    ContentService.MimeType.JSON,
+  );
+}
+
+/**
+ * Private helper to build a failed response envelope.
+ * @private
+ * @param {string} code - One of `ERROR_CODES`.
+ * @param {string} message - Human-readable error message.
+ * @returns {{success: boolean, error: string, code: string}} The error envelope.
+ */
+function _errorEnvelope(code, message) {
+  return { success: false, error: message, code: code };
+}
+
+/**
+ * Private helper to find an action definition by its name or one of its aliases.
+ * @private
+ * @param {string} name - The requested action name.
+ * @returns {{name: string, definition: Object}|null} The canonical name and definition, or null if unknown.
+ */
+function _resolveAction(name) {
+  if (!name) return null;
+  if (Object.prototype.hasOwnProperty.call(ACTIONS, name)) {
+    return { name: name, definition: ACTIONS[name] };
+  }
+  for (const actionName in ACTIONS) {
+    if (ACTIONS[actionName].aliases.includes(name)) {
+      return { name: actionName, definition: ACTIONS[actionName] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Private helper to validate request params against an action schema.
+ * Query string values are always strings, so GET numbers and booleans are coerced first.
+ * @private
+ * @param {Object} schema - The action's input schema.
+ * @param {Object} params - The raw params.
+ * @param {string} method - The HTTP method ("GET" or "POST").
+ * @throws {Error} A `VALIDATION_ERROR` describing the first invalid field.
+ * @returns {Object} A copy of the params with coerced values.
+ */
+function _validateParams(schema, params, method) {
+  const validated = { ...params };
+
+  for (const field in schema) {
+    const { type, required } = schema[field];
+    let value = validated[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (required) {
+        throw _createError(
+          ERROR_CODES.VALIDATION_ERROR,
+          `Field '${field}' is required`,
+        );
+      }
+      continue;
+    }
+
+    if (method === "GET" && typeof value === "string") {
+      if (type === "number") value = Number(value);
+      if (type === "boolean") value = value === "true";
+    }
+
+    const actualType = Array.isArray(value) ? "array" : typeof value;
+    if (
+      actualType !== type ||
+      (type === "number" && !isFinite(value))
+    ) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Field '${field}' must be of type ${type}`,
+      );
+    }
+    validated[field] = value;
+  }
+
+  return validated;
+}
+
+/**
+ * Private helper to turn a handler result into a response envelope.
+ * Core functions report failures as `{ success: false, error, code }`; anything
+ * else is treated as successful data.
+ * @private
+ * @param {*} result - The handler's return value.
+ * @param {string} [resultKey] - Property to unwrap from a successful result.
+ * @returns {Object} The response envelope.
+ */
+function _toEnvelope(result, resultKey) {
+  if (result && typeof result === "object" && "success" in result) {
+    if (!result.success) {
+      return _errorEnvelope(
+        result.code || ERROR_CODES.VALIDATION_ERROR,
+        result.error,
+      );
+    }
+    if (resultKey) return { success: true, data: result[resultKey] };
+    const { success, ...data } = result;
+    return { success: true, data: data };
+  }
+  return { success: true, data: result === undefined ? null : result };
+}
+
+/**
+ * Private helper to validate, authorize and run a registered action.
+ * @private
+ * @param {string} method - The HTTP method ("GET" or "POST").
+ * @param {string} actionName - The requested action name or alias.
+ * @param {Object} params - The action input.
+ * @param {Object|null} caller - The authenticated API key record, or null for anonymous requests.
+ * @returns {Object} The response envelope.
+ */
+function _executeAction(method, actionName, params, caller) {
+  const resolved = _resolveAction(actionName);
+  if (!resolved) {
+    return _errorEnvelope(
+      ERROR_CODES.UNKNOWN_ACTION,
+      `Unknown action '${actionName}'.`,
+    );
+  }
+
+  const { name, definition } = resolved;
+  if (!definition.methods.includes(method)) {
+    return _errorEnvelope(
+      ERROR_CODES.METHOD_NOT_ALLOWED,
+      `Action '${name}' does not support ${method}. Use ${definition.methods.join(" or ")}.`,
+    );
+  }
+
+  if (definition.role) {
+    if (!caller) {
+      return _errorEnvelope(
+        ERROR_CODES.UNAUTHORIZED,
+        "A valid 'api_key' is required for this action.",
+      );
+    }
+    if (!_roleAllows(caller.role, definition.role)) {
+      return _errorEnvelope(
+        ERROR_CODES.FORBIDDEN,
+        `Action '${name}' requires the '${definition.role}' role.`,
+      );
+    }
+  }
+
+  try {
+    const validated = _validateParams(
+      definition.schema || {},
+      params || {},
+      method,
+    );
+    const context = { method: method, caller: caller };
+    const result = definition.locked
+      ? _withScriptLock(() => definition.handler(validated, context))
+      : definition.handler(validated, context);
+    return _toEnvelope(result, definition.resultKey);
+  } catch (err) {
+    _logError(`_executeAction:${name}`, err);
+    return _errorEnvelope(err.code || ERROR_CODES.INTERNAL_ERROR, err.message);
+  }
+}
+
+/**
+ * Private helper to describe the caller in audit columns such as `performed_by`.
+ * @private
+ * @param {Object|null} caller - The authenticated API key record.
+ * @returns {string} The key label and ID (e.g., "Counter tablet (K00002)"), or an empty string.
  */
+function _describeCaller(caller) {
+  return caller ? `${caller.label} (${caller.key_id})` : "";
+}
+
+/**
+ * Private helper for the `health` action. Lists every registered action.
+ * @private
+ * @returns {{message: string, timestamp: string, actions: Array<Object>}} The API status.
+ */
+function _healthCheck() {
+  return {
+    message: "Sandwich API is running",
+    timestamp: new Date().toISOString(),
+    actions: Object.keys(ACTIONS).map((name) => ({
+      action: name,
+      methods: ACTIONS[name].methods,
+      aliases: ACTIONS[name].aliases,
+      role: ACTIONS[name].role || null,
+    })),
+  };
+}
+
+// ================ CORE FUNCTIONS ================
 
 /**
  * Handles HTTP GET requests to the web app.
- * This function acts as a router, directing requests based on the 'action'
- * query parameter in the URL.
+ * The 'action' query parameter selects the registered action and 'api_key'
+ * authenticates the caller; every other query parameter is passed to the action as input.
  *
  * Example Usage:
- * https://script.google.com/macros/s/YOUR_DEPLOYMENT_ID/exec?action=getAllCustomers
+ * https://script.google.com/macros/s/YOUR_DEPLOYMENT_ID/exec?action=get_all_customers
  *
  * @param {object} e The event parameter for a web app, containing request data.
  * @param {object} e.parameter The query parameters from the URL.
  * @param {string} e.parameter.action The specific action the client wants to perform.
- * @returns {ContentService.TextOutput} A JSON response containing either the requested data or an error message.
+ * @param {string} [e.parameter.api_key] The caller's API key.
+ * @returns {ContentService.TextOutput} A JSON response envelope.
  */
 function doGet(e) {
-  // Extract the action from the URL query parameters.
-  const action = e.parameter.action;
+  const { action, api_key, ...params } = e.parameter || {};
   Logger.log("Processing GET request. ", `Action: ${action}`);
-
-  try {
-    // Use a switch statement to handle different actions.
-    switch (action) {
-      case "setup":
-        // Initialize spreadsheet structure for customer and sales management
-        const result = setupSpreadsheets();
-        // Return the customer data as a JSON string.
-        return ContentService.createTextOutput(
-          JSON.stringify({ success: true, result: result }),
-        ).setMimeType(ContentService.MimeType.JSON);
-
-      case "getAllCustomers":
-        // Fetch all customer records.
-        const customers = getAllCustomers();
-        // Return the customer data as a JSON string.
-        return ContentService.createTextOutput(
-          JSON.stringify({ success: true, data: customers }),
-        ).setMimeType(ContentService.MimeType.JSON);
-
-      // TODO: Add more cases for other GET actions, e.g., "getCustomerById".
-
-      default:
-        // Handle any action that isn't recognized.
-        return ContentService.createTextOutput(
-          JSON.stringify({
-            success: false,
-            error: "Unknown or unsupported GET action.",
-          }),
-        ).setMimeType(ContentService.MimeType.JSON);
-    }
-  } catch (err) {
-    // Catch any unexpected errors during execution and return a generic error message.
-    Logger.log("Unexpected error during execution:", `error: ${err.message}`);
-    return ContentService.createTextOutput(
-      JSON.stringify({ success: false, error: err.message }),
-    ).setMimeType(ContentService.MimeType.JSON);
-  }
+  const caller = _authenticateApiKey(api_key);
+  return _jsonResponse(_executeAction("GET", action, params, caller));
 }
 
 /**
  * Handles HTTP POST requests to the web app.
- * This function is used for actions that create or modify data, like registering a new customer.
- * It expects a JSON payload in the request body with 'action' and 'data' properties.
+ * It expects a JSON payload in the request body with 'action', 'data' and 'api_key' properties,
+ * plus an optional 'idempotency_key' to make retries safe.
+ * Apps Script does not expose request headers, so both keys travel in the body.
  *
  * @param {object} e The event parameter for a web app, containing request data.
  * @param {string} e.postData.contents The raw string content of the POST request body.
- * @returns {ContentService.TextOutput} A JSON response indicating success or failure.
+ * @returns {ContentService.TextOutput} A JSON response envelope.
  */
 function doPost(e) {
   let params;
@@ -79,47 +885,37 @@ function doPost(e) {
   try {
     params = JSON.parse(e.postData.contents);
   } catch (err) {
-    // If JSON parsing fails, return an error indicating an invalid request.
-    return ContentService.createTextOutput(
-      JSON.stringify({
-        success: false,
-        error: "Invalid JSON format in request body.",
-      }),
-    ).setMimeType(ContentService.MimeType.JSON);
+    return _jsonResponse(
+      _errorEnvelope(
+        ERROR_CODES.INVALID_JSON,
+        "Invalid JSON format in request body.",
+      ),
+    );
   }
 
-  // Destructure the action and data from the parsed request body.
-  const { action, data } = params;
+  const { action, data, api_key, idempotency_key } = params || {};
+  Logger.log("Processing POST request. ", `Action: ${action}`);
+  const caller = _authenticateApiKey(api_key);
+  const execute = () => _executeAction("POST", action, data, caller);
 
-  // Use a switch statement to route the request to the appropriate function.
-  try {
-    switch (action) {
-      case "registerCustomer":
-        const result = registerCustomer(data);
-        return ContentService.createTextOutput(
-          JSON.stringify(result),
-        ).setMimeType(ContentService.MimeType.JSON);
-
-      case "updateCustomer":
-        const updateResult = updateCustomer(data);
-        return ContentService.createTextOutput(
-          JSON.stringify(updateResult),
-        ).setMimeType(ContentService.MimeType.JSON);
-
-      // TODO: Add more cases for other POST actions, e.g., "createSaleRecord".
-
-      default:
-        return ContentService.createTextOutput(
-          JSON.stringify({
-            success: false,
-            error: "Unknown or unsupported POST action.",
-          }),
-        ).setMimeType(ContentService.MimeType.JSON);
+  // Retried requests with a known idempotency key replay their first response.
+  if (idempotency_key) {
+    const resolved = _resolveAction(action);
+    try {
+      return _jsonResponse(
+        _runIdempotent(
+          String(idempotency_key),
+          resolved ? resolved.name : action,
+          caller,
+          execute,
+        ),
+      );
+    } catch (err) {
+      _logError("doPost", err);
+      return _jsonResponse(
+        _errorEnvelope(err.code || ERROR_CODES.INTERNAL_ERROR, err.message),
+      );
     }
-  } catch (err) {
-    Logger.log("Unexpected error during execution:", `error: ${err.message}`);
-    return ContentService.createTextOutput(
-      JSON.stringify({ success: false, error: err.message }),
-    ).setMimeType(ContentService.MimeType.JSON);
   }
+  return _jsonResponse(execute());
 }
@@ -4,11 +4,35 @@
  */
 
 // ===  Constants  ===
-const DEFAULT_UNIT_PRICE = 15000;
+const SALES_HEADERS = [
+  "sale_id",
+  "customer_id",
+  "quantity",
+  "unit_price",
+  "total_price",
+  "amount_paid",
+  "pending_balance",
+  "status",
+  "sale_datetime",
+  "last_payment_datetime",
+  "gross_price",
+  "discount_amount",
+  "promo_id",
+];
+const SALE_ID_REGEX = /^S(\d{4})(\d{2})-(\d{5,})$/; // Global sale ID, e.g. S202501-00001 (month prefix + per-month number)
+const LEGACY_SALE_ID_REGEX = /^S(\d{5,})$/; // Per-month sale ID used before month prefixes, e.g. S00001
 const SALE_STATUS = {
   PAID: "Paid",
   PARTIAL: "Partial",
   UNPAID: "Unpaid",
+  VOIDED: "Voided",
+  REFUNDED: "Refunded",
+};
+/** Statuses of sales that were reversed. They no longer count as billed or pending. */
+const REVERSED_SALE_STATUSES = [SALE_STATUS.VOIDED, SALE_STATUS.REFUNDED];
+const CREDIT_LIMIT_MODES = {
+  BLOCK: "block", // Reject sales that would go over the limit
+  WARN: "warn", // Register them, flagged in the response
 };
 
 // ================  Helpers  ================
@@ -27,20 +51,13 @@ function _getSalesSheetForMonth(month) {
   if (!sheet) {
     // Create new sales sheet for this month
     sheet = ss.insertSheet(sheetName);
-    sheet.appendRow([
-      "sale_id",
-      "customer_id",
-      "quantity",
-      "unit_price",
-      "total_price",
-      "amount_paid",
-      "pending_balance",
-      "status",
-      "sale_datetime",
-      "last_payment_datetime",
-    ]);
+    sheet.appendRow(SALES_HEADERS);
     console.log(`Sales sheet for ${month} created`);
-  } else console.log(`Sales sheet for ${month} already exists`);
+  } else {
+    // Sheets created before newer columns existed get them appended.
+    _ensureSheetColumns(sheet, SALES_HEADERS);
+    console.log(`Sales sheet for ${month} already exists`);
+  }
 
   return sheet;
 }
@@ -61,45 +78,80 @@ function _rowToSaleObject(row, headers) {
 }
 
 /**
- * Private helper to generate the next sale ID for a specific month sheet
+ * Private helper to split a sale ID into its month and number.
+ * Global IDs carry their month; legacy IDs (e.g. "S00001") only a number.
+ * @private
+ * @param {string} saleId - The sale ID.
+ * @returns {{month: string|null, number: number}|null} The month in YYYY-MM format (null for legacy IDs) and the per-month number, or null if the ID is malformed.
+ */
+function _parseSaleId(saleId) {
+  const value = String(saleId ?? "").trim();
+  const globalMatch = value.match(SALE_ID_REGEX);
+  if (globalMatch) {
+    return {
+      month: `${globalMatch[1]}-${globalMatch[2]}`,
+      number: parseInt(globalMatch[3], 10),
+    };
+  }
+  const legacyMatch = value.match(LEGACY_SALE_ID_REGEX);
+  if (legacyMatch) return { month: null, number: parseInt(legacyMatch[1], 10) };
+  return null;
+}
+
+/**
+ * Private helper to build a global sale ID from its sheet and number.
+ * @private
+ * @param {string} sheetName - The sales sheet name (e.g., "sales_2025_01").
+ * @param {number} idNumber - The per-month sale number.
+ * @returns {string} The global sale ID (e.g., "S202501-00001").
+ */
+function _formatSaleId(sheetName, idNumber) {
+  const monthPrefix = sheetName.replace("sales_", "").replace("_", "");
+  return `S${monthPrefix}-${String(idNumber).padStart(5, "0")}`;
+}
+
+/**
+ * Private helper to find the highest numeric sale ID already stored in a sheet.
+ * Used once per sheet to seed its persistent counter.
  * @private
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sales sheet
- * @returns {string} The new unique sale ID (e.g., S00001)
+ * @returns {number} The highest sale ID number, or 0 if the sheet has no sales
  */
-function _generateSaleId(sheet) {
-  try {
-    const headers = sheet
-      .getRange(1, 1, 1, sheet.getLastColumn())
-      .getValues()[0];
-    const idColumnIndex = headers.indexOf("sale_id");
-    if (idColumnIndex === -1) throw new Error("Missing 'sale_id' column");
-
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) return "S00001"; // No existing sales
-
-    const lastId = sheet.getRange(lastRow, idColumnIndex + 1).getValue();
-    if (!lastId || !/^S\d{5}$/.test(lastId)) {
-      // Fallback if last ID is malformed, scan all IDs
-      const allIds = sheet
-        .getRange(2, idColumnIndex + 1, lastRow - 1, 1)
-        .getValues()
-        .flat();
-      const maxIdNum = allIds.reduce((max, id) => {
-        const num = parseInt(String(id).slice(1), 10);
-        return isNaN(num) ? max : Math.max(max, num);
-      }, 0);
-      const nextIdNum = maxIdNum + 1;
-      return `S${String(nextIdNum).padStart(5, "0")}`;
-    }
+function _getMaxSaleIdNumber(sheet) {
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const idColumnIndex = headers.indexOf("sale_id");
+  if (idColumnIndex === -1) throw new Error("Missing 'sale_id' column");
 
-    const lastIdNum = parseInt(lastId.slice(1), 10);
-    const nextIdNum = lastIdNum + 1;
-    return `S${String(nextIdNum).padStart(5, "0")}`;
-  } catch (error) {
-    _logError("_generateSaleId", error);
-    // Fallback ID in case of critical error
-    return `S${Date.now().toString().slice(-5)}`;
-  }
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return 0; // No existing sales
+
+  return sheet
+    .getRange(2, idColumnIndex + 1, lastRow - 1, 1)
+    .getValues()
+    .flat()
+    .reduce((max, id) => {
+      const parsed = _parseSaleId(id);
+      return parsed ? Math.max(max, parsed.number) : max;
+    }, 0);
+}
+
+/**
+ * Private helper to generate the next sale ID for a specific month sheet.
+ * IDs come from a persistent per-sheet counter in `settings`, incremented under
+ * the script lock, and are prefixed with the month so they are unique across sheets.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sales sheet
+ * @throws {Error} If the counter cannot be read or incremented
+ * @returns {string} The new unique sale ID (e.g., S202501-00001)
+ */
+function _generateSaleId(sheet) {
+  const nextIdNum = _incrementSettingsCounter(
+    `last_sale_id_number_${sheet.getName()}`,
+    () => _getMaxSaleIdNumber(sheet),
+  );
+  return _formatSaleId(sheet.getName(), nextIdNum);
 }
 
 /**
@@ -114,3 +166,545 @@ function _calculateSaleStatus(totalPrice, amountPaid) {
   if (amountPaid > 0) return SALE_STATUS.PARTIAL;
   return SALE_STATUS.UNPAID;
 }
+
+/**
+ * Private helper to check whether a sale was voided or refunded.
+ * @private
+ * @param {Object} sale - The sale object.
+ * @returns {boolean} True if the sale's status is one of `REVERSED_SALE_STATUSES`.
+ */
+function _isReversedSale(sale) {
+  return REVERSED_SALE_STATUSES.includes(sale.status);
+}
+
+/**
+ * Private helper to find a sale row in its monthly sales sheet.
+ * Global IDs locate their own sheet; legacy IDs (e.g. "S00001") need the month,
+ * and still resolve after `migrateLegacySaleIds()` has rewritten them.
+ * Unlike `_getSalesSheetForMonth`, this never creates a missing sheet.
+ * @private
+ * @param {string} saleId - The sale ID to search for (e.g., "S202501-00001").
+ * @param {string} [month] - Month in YYYY-MM format. Required only for legacy IDs.
+ * @returns {{sale: Object, rowIndex: number, headers: Array<string>, sheet: GoogleAppsScript.Spreadsheet.Sheet}|null} The sale, its 1-based row index, the sheet headers and the sheet if found, otherwise null.
+ */
+function _findSaleAndIndex(saleId, month) {
+  const parsed = _parseSaleId(saleId);
+  if (!parsed) return null;
+  const saleMonth = parsed.month || month;
+  if (!saleMonth) return null;
+
+  const sheetName = `sales_${String(saleMonth).replace("-", "_")}`;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) return null;
+
+  const candidateIds = [String(saleId).trim()];
+  if (!parsed.month) candidateIds.push(_formatSaleId(sheetName, parsed.number));
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const idIdx = headers.indexOf("sale_id");
+  if (idIdx === -1) return null;
+
+  for (let i = 0; i < data.length; i++) {
+    if (candidateIds.includes(String(data[i][idIdx]).trim())) {
+      return {
+        sale: _rowToSaleObject(data[i], headers),
+        rowIndex: i + 2,
+        headers: headers,
+        sheet: sheet,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Private helper to list every monthly sales sheet, oldest month first.
+ * @private
+ * @returns {Array<GoogleAppsScript.Spreadsheet.Sheet>} The `sales_YYYY_MM` sheets sorted by month.
+ */
+function _getSalesSheetsOldestFirst() {
+  return SpreadsheetApp.getActiveSpreadsheet()
+    .getSheets()
+    .filter((sheet) => /^sales_\d{4}_\d{2}$/.test(sheet.getName()))
+    .sort((a, b) => a.getName().localeCompare(b.getName()));
+}
+
+/**
+ * Private helper to parse an optional sale date input.
+ * @private
+ * @param {string|Date} [saleDate] - The sale date as a Date or an ISO-8601 string. Defaults to now.
+ * @throws {Error} If the provided value cannot be parsed into a valid date.
+ * @returns {Date} The parsed sale date.
+ */
+function _parseSaleDate(saleDate) {
+  if (saleDate === undefined || saleDate === null || saleDate === "") {
+    return new Date();
+  }
+  const parsed = saleDate instanceof Date ? saleDate : new Date(saleDate);
+  if (isNaN(parsed.getTime())) {
+    throw new Error("Invalid 'sale_date'. Use an ISO-8601 date string.");
+  }
+  return parsed;
+}
+
+/**
+ * Private helper to turn a sale date cell into a comparable timestamp.
+ * Sheets may return the cell as a Date or as the formatted string it was written with.
+ * @private
+ * @param {Date|string} value - The cell value (e.g., `sale_datetime`).
+ * @returns {number} Milliseconds since epoch, or 0 if the value cannot be parsed.
+ */
+function _saleTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  const parsed = new Date(String(value).replace(" ", "T"));
+  return isNaN(parsed.getTime()) ? 0 : parsed.getTime();
+}
+
+/**
+ * Private helper to format a date using the script time zone.
+ * @private
+ * @param {Date} date - The date to format.
+ * @param {string} [pattern] - The output pattern. Defaults to the `datetime_format` setting.
+ * @returns {string} The formatted date string.
+ */
+function _formatSaleDate(date, pattern = _getSetting("datetime_format")) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), pattern);
+}
+
+/**
+ * Private helper to add up what a customer still owes across all sales sheets.
+ * Months marked "settled" in `sales_summary` have no pending balance and are skipped.
+ * @private
+ * @param {string} customerId - The customer ID.
+ * @returns {number} The customer's total pending balance.
+ */
+function _getCustomerOutstandingBalance(customerId) {
+  const summaryStatus = _getSummaryStatusMap();
+  let outstanding = 0;
+  _getSalesSheetsOldestFirst().forEach((sheet) => {
+    if (summaryStatus[sheet.getName()] === "settled") return;
+
+    const data = sheet.getDataRange().getValues();
+    const headers = data.shift();
+    const customerIdx = headers.indexOf("customer_id");
+    const pendingIdx = headers.indexOf("pending_balance");
+    if (customerIdx === -1 || pendingIdx === -1) return;
+
+    data.forEach((row) => {
+      if (row[customerIdx] === customerId) {
+        outstanding += Number(row[pendingIdx]) || 0;
+      }
+    });
+  });
+  return outstanding;
+}
+
+/**
+ * Private helper to check a new sale's unpaid amount against the customer's
+ * credit limit. Depending on the `credit_limit_mode` setting, going over the
+ * limit rejects the sale ("block", the default) or only flags it ("warn").
+ * @private
+ * @param {Object} customer - The customer object.
+ * @param {number} newDebt - The part of the new sale left unpaid.
+ * @throws {Error} With code `CREDIT_LIMIT_EXCEEDED` if the sale is blocked.
+ * @returns {{credit_limit: number|null, outstanding_balance: number, balance_after_sale: number, over_limit: boolean}} The customer's debt before and after the sale.
+ */
+function _checkCreditLimit(customer, newDebt) {
+  const creditLimit = _getCustomerCreditLimit(customer);
+  const outstanding = _getCustomerOutstandingBalance(customer.customer_id);
+  const credit = {
+    credit_limit: creditLimit,
+    outstanding_balance: outstanding,
+    balance_after_sale: outstanding + newDebt,
+    over_limit:
+      creditLimit !== null && newDebt > 0 && outstanding + newDebt > creditLimit,
+  };
+
+  if (
+    credit.over_limit &&
+    _getSetting("credit_limit_mode") !== CREDIT_LIMIT_MODES.WARN
+  ) {
+    throw _createError(
+      ERROR_CODES.CREDIT_LIMIT_EXCEEDED,
+      `Customer '${customer.customer_id}' owes ${outstanding}; leaving ${newDebt} unpaid would exceed the credit limit of ${creditLimit}`,
+    );
+  }
+  return credit;
+}
+
+/**
+ * Private helper to run an append and register how to take it back.
+ * @private
+ * @param {Array<Function>} undo - The undo steps of the current write, in order.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet `write` appends to.
+ * @param {Function} write - Appends rows to `sheet` and returns its result.
+ * @returns {*} The result of `write`.
+ */
+function _appendWithUndo(undo, sheet, write) {
+  const lastRow = sheet.getLastRow();
+  const result = write();
+  const added = sheet.getLastRow() - lastRow;
+  if (added > 0) undo.push(() => sheet.deleteRows(lastRow + 1, added));
+  return result;
+}
+
+/**
+ * Private helper to overwrite a row and register how to restore its old values.
+ * @private
+ * @param {Array<Function>} undo - The undo steps of the current write, in order.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet holding the row.
+ * @param {number} rowIndex - The 1-based row to overwrite.
+ * @param {Array} values - The new row values, starting at column 1.
+ */
+function _setRowWithUndo(undo, sheet, rowIndex, values) {
+  const range = sheet.getRange(rowIndex, 1, 1, values.length);
+  const previous = range.getValues();
+  range.setValues([values]);
+  undo.push(() => range.setValues(previous));
+}
+
+/**
+ * Private helper to write a priced sale and its side records: line items,
+ * loyalty stamps earned or redeemed, the down payment and the promotion use.
+ * Callers validate the customer and amounts first. Every row is built and
+ * every sheet resolved before the first write; if a later write still fails
+ * (e.g., a busy lock), the rows already appended are deleted again, so no
+ * partial sale remains.
+ * @private
+ * @throws {Error} If the sale date falls on a closed business day, or a write fails.
+ * @param {Object} saleData - The validated sale.
+ * @param {string} saleData.customer_id - The customer ID.
+ * @param {Array<Object>} saleData.lines - The priced lines from `_priceSaleLines`.
+ * @param {Date} saleData.saleDate - The sale date.
+ * @param {{promo_id: string, discount: number}|null} saleData.promotion - The promotion to apply, from `_findBestPromotion`.
+ * @param {number} saleData.amount_paid - Amount paid at the time of sale.
+ * @param {string} [saleData.payment_method] - Method used for `amount_paid`.
+ * @param {number} [saleData.redeemed_stamps] - Stamps a reward redemption spends, recorded with the sale.
+ * @returns {Object} The new sale record with its `items`.
+ */
+function _createSale({
+  customer_id,
+  lines,
+  saleDate,
+  promotion,
+  amount_paid,
+  payment_method,
+  redeemed_stamps,
+}) {
+  // 1. Validate and build everything before writing
+  _assertDayOpen(saleDate);
+  const paymentMethod =
+    amount_paid > 0 ? _validatePaymentMethod(payment_method) : null;
+
+  const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const grossPrice = lines.reduce((sum, line) => sum + line.line_total, 0);
+  const discountAmount = promotion ? promotion.discount : 0;
+  const totalPrice = grossPrice - discountAmount;
+
+  // Resolve the monthly ledger from the sale date
+  const sheet = _getSalesSheetForMonth(_formatSaleDate(saleDate, "yyyy-MM"));
+  const saleDatetime = _formatSaleDate(saleDate);
+
+  const newSale = {
+    sale_id: _generateSaleId(sheet),
+    customer_id: customer_id,
+    quantity: totalQuantity,
+    // A single unit price only makes sense when every unit cost the same.
+    unit_price: lines.length === 1 ? lines[0].unit_price : "",
+    total_price: totalPrice,
+    amount_paid: amount_paid,
+    pending_balance: totalPrice - amount_paid,
+    status: _calculateSaleStatus(totalPrice, amount_paid),
+    sale_datetime: saleDatetime,
+    last_payment_datetime: amount_paid > 0 ? saleDatetime : "",
+    gross_price: grossPrice,
+    discount_amount: discountAmount,
+    promo_id: promotion ? promotion.promo_id : "",
+  };
+
+  const headers = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const newRow = headers.map((header) =>
+    newSale[header] === undefined ? "" : newSale[header],
+  );
+  const saleItemsSheet = _getSaleItemsSheet();
+  const loyaltySheet = _getLoyaltySheet();
+  const paymentsSheet = paymentMethod ? _getPaymentsSheet() : null;
+
+  // 2. Write the sale and its side records
+  const undo = [];
+  try {
+    _appendWithUndo(undo, sheet, () => sheet.appendRow(newRow));
+    const saleItems = _appendWithUndo(undo, saleItemsSheet, () =>
+      _appendSaleItems(newSale.sale_id, sheet.getName(), lines),
+    );
+    _appendWithUndo(undo, loyaltySheet, () =>
+      _recordLoyaltyStamps(newSale, sheet.getName(), lines),
+    );
+    if (redeemed_stamps) {
+      _appendWithUndo(undo, loyaltySheet, () =>
+        _appendLoyaltyEntry({
+          customer_id: customer_id,
+          type: LOYALTY_ENTRY_TYPES.REDEMPTION,
+          stamps: -redeemed_stamps,
+          sale_id: newSale.sale_id,
+          sales_sheet: sheet.getName(),
+        }),
+      );
+    }
+
+    // Keep the payment history complete: the down payment is a ledger entry too.
+    if (paymentMethod) {
+      _appendWithUndo(undo, paymentsSheet, () =>
+        _appendPaymentRecord({
+          sale_id: newSale.sale_id,
+          sales_sheet: sheet.getName(),
+          customer_id: customer_id,
+          amount: amount_paid,
+          method: paymentMethod,
+          paid_at: saleDatetime,
+        }),
+      );
+    }
+
+    // A pending mark left behind by a failed sale is harmless: it only asks for a recount.
+    if (newSale.pending_balance > 0) _markSummaryMonthPending(sheet.getName());
+    // Last, so that a failed sale never counts as a use.
+    if (promotion) _recordPromotionUse(promotion.promo_id);
+
+    console.log(`Sale ${newSale.sale_id} registered for ${customer_id}`);
+    return { ...newSale, items: saleItems };
+  } catch (error) {
+    undo.reverse().forEach((step) => step());
+    console.warn(
+      `Sale ${newSale.sale_id} was not registered; its rows were removed`,
+    );
+    throw error;
+  }
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Registers a new sale in the `sales_YYYY_MM` sheet matching the sale date.
+ * Line items are priced from the `products` catalog and stored in `sale_items`.
+ * The best applicable promotion is then applied: `gross_price` is the sum of the
+ * lines, `discount_amount` the promotion discount, and `total_price` the net amount
+ * owed, which drives `pending_balance` and `status`. `quantity` is the number of units.
+ * The unpaid part is checked against the customer's credit limit (see `_checkCreditLimit`),
+ * and the customer's debt before and after the sale is returned as `credit`.
+ * @param {Object} saleData - The sale's information.
+ * @param {string} saleData.customer_id - The ID of an existing customer (e.g., "C00001").
+ * @param {Array<{sku: string, quantity: number}>} [saleData.items] - The products sold.
+ * @param {number} [saleData.quantity] - Units of the default product, for sales without `items`.
+ * @param {number} [saleData.unit_price] - Not accepted: prices always come from the catalog. Rejected when sent.
+ * @param {string} [saleData.promo_code] - Code of a promotion to apply.
+ * @param {number} [saleData.amount_paid=0] - Amount paid at the time of sale.
+ * @param {string} [saleData.sale_date] - ISO-8601 date of the sale. Defaults to now.
+ * @param {string} [saleData.payment_method="cash"] - Method used for `amount_paid`, one of `PAYMENT_METHODS`.
+ * @returns {{success: boolean, sale: Object}|{success: boolean, error: string, code: string}} An object containing the new sale record and its `credit` check on success, or an error message on failure.
+ */
+function registerSale({
+  customer_id,
+  items,
+  quantity,
+  unit_price,
+  promo_code,
+  amount_paid,
+  sale_date,
+  payment_method,
+}) {
+  try {
+    // 1. Validate the customer
+    if (!customer_id) {
+      throw new Error("Field 'customer_id' is required");
+    }
+    const customer = findCustomerById(customer_id);
+    if (!customer) {
+      throw _createError(
+        ERROR_CODES.NOT_FOUND,
+        `Customer with ID '${customer_id}' not found`,
+      );
+    }
+
+    // 2. Price the line items and validate amounts
+    if (items !== undefined && items !== null && !Array.isArray(items)) {
+      throw new Error("Field 'items' must be an array");
+    }
+    // Clients must not set their own prices, with or without `items`.
+    if (unit_price !== undefined && unit_price !== null && unit_price !== "") {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "Field 'unit_price' is not accepted. Prices come from the products catalog.",
+      );
+    }
+    const lines = _priceSaleLines(items, quantity);
+    const grossPrice = lines.reduce((sum, line) => sum + line.line_total, 0);
+    const saleDate = _parseSaleDate(sale_date);
+
+    // 3. Apply the best promotion
+    const promotion = _findBestPromotion(lines, saleDate, promo_code);
+    const discountAmount = promotion ? promotion.discount : 0;
+    const totalPrice = grossPrice - discountAmount;
+
+    const cleanAmountPaid =
+      amount_paid === undefined || amount_paid === null || amount_paid === ""
+        ? 0
+        : Number(amount_paid);
+    if (!isFinite(cleanAmountPaid) || cleanAmountPaid < 0) {
+      throw new Error("Field 'amount_paid' must be zero or a positive number");
+    }
+
+    if (cleanAmountPaid > totalPrice) {
+      throw new Error("Field 'amount_paid' cannot exceed the total price");
+    }
+    if (cleanAmountPaid > 0) _validatePaymentMethod(payment_method);
+
+    // 4. Check the customer's credit
+    const credit = _checkCreditLimit(customer, totalPrice - cleanAmountPaid);
+
+    // 5. Record the sale
+    const sale = _createSale({
+      customer_id: customer_id,
+      lines: lines,
+      saleDate: saleDate,
+      promotion: promotion,
+      amount_paid: cleanAmountPaid,
+      payment_method: payment_method,
+    });
+
+    return { success: true, sale: { ...sale, credit: credit } };
+  } catch (error) {
+    _logError("registerSale", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Retrieves every sale with an outstanding balance across all monthly sales sheets.
+ * @returns {Array<Object>} The pending sales, oldest month first, each with its `sales_sheet`. Returns an empty array on error.
+ */
+function getPendingSales() {
+  try {
+    const pendingSales = [];
+    _getSalesSheetsOldestFirst().forEach((sheet) => {
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift();
+      data
+        .map((row) => _rowToSaleObject(row, headers))
+        .filter((sale) => Number(sale.pending_balance) > 0)
+        .forEach((sale) =>
+          pendingSales.push({ ...sale, sales_sheet: sheet.getName() }),
+        );
+    });
+    return pendingSales;
+  } catch (error) {
+    _logError("getPendingSales", error);
+    return [];
+  }
+}
+
+/**
+ * Finds a sale by its ID in the matching monthly sales sheet.
+ * @param {string} saleId - The sale ID (e.g., "S202501-00001").
+ * @param {string} [month] - Month in YYYY-MM format. Only needed for legacy IDs such as "S00001".
+ * @returns {{success: boolean, sale: Object}|{success: boolean, error: string}} The sale, with its `sales_sheet` and line `items`, on success, or an error message on failure.
+ */
+function getSaleById(saleId, month) {
+  try {
+    const parsed = _parseSaleId(saleId);
+    if (!parsed) {
+      throw new Error(`Invalid sale ID '${saleId}'`);
+    }
+    if (!parsed.month && !month) {
+      throw new Error(
+        `Sale ID '${saleId}' has no month prefix. Provide 'month' (YYYY-MM).`,
+      );
+    }
+
+    const saleRecord = _findSaleAndIndex(saleId, month);
+    if (!saleRecord) {
+      throw _createError(ERROR_CODES.NOT_FOUND, `Sale '${saleId}' not found`);
+    }
+    const salesSheetName = saleRecord.sheet.getName();
+    return {
+      success: true,
+      sale: {
+        ...saleRecord.sale,
+        sales_sheet: salesSheetName,
+        items: getSaleItems(saleRecord.sale.sale_id, salesSheetName),
+      },
+    };
+  } catch (error) {
+    _logError("getSaleById", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Rewrites legacy per-month sale IDs (e.g. "S00001" in `sales_2025_01`) as global
+ * IDs ("S202501-00001") in every sales sheet and in the `payments` ledger.
+ * Safe to run more than once: IDs that are already global are left untouched.
+ * @returns {{success: boolean, sales_updated: number, payments_updated: number}|{success: boolean, error: string}} The number of rewritten rows on success, or an error message on failure.
+ */
+function migrateLegacySaleIds() {
+  try {
+    return _withScriptLock(() => {
+      let salesUpdated = 0;
+      _getSalesSheetsOldestFirst().forEach((sheet) => {
+        const lastRow = sheet.getLastRow();
+        if (lastRow < 2) return;
+        const headers = sheet
+          .getRange(1, 1, 1, sheet.getLastColumn())
+          .getValues()[0];
+        const idIdx = headers.indexOf("sale_id");
+        if (idIdx === -1) return;
+
+        const idRange = sheet.getRange(2, idIdx + 1, lastRow - 1, 1);
+        let changed = false;
+        const ids = idRange.getValues().map(([id]) => {
+          const parsed = _parseSaleId(id);
+          if (!parsed || parsed.month) return [id];
+          changed = true;
+          salesUpdated++;
+          return [_formatSaleId(sheet.getName(), parsed.number)];
+        });
+        if (changed) idRange.setValues(ids);
+      });
+
+      let paymentsUpdated = 0;
+      const paymentsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+        PAYMENTS_SHEET_NAME,
+      );
+      if (paymentsSheet && paymentsSheet.getLastRow() > 1) {
+        const data = paymentsSheet.getDataRange().getValues();
+        const headers = data.shift();
+        const saleIdx = headers.indexOf("sale_id");
+        const sheetIdx = headers.indexOf("sales_sheet");
+        const ids = data.map((row) => {
+          const parsed = _parseSaleId(row[saleIdx]);
+          if (!parsed || parsed.month || !row[sheetIdx]) return [row[saleIdx]];
+          paymentsUpdated++;
+          return [_formatSaleId(row[sheetIdx], parsed.number)];
+        });
+        if (paymentsUpdated > 0) {
+          paymentsSheet.getRange(2, saleIdx + 1, ids.length, 1).setValues(ids);
+        }
+      }
+
+      console.log(
+        `Migrated ${salesUpdated} sale IDs and ${paymentsUpdated} payment references`,
+      );
+      return {
+        success: true,
+        sales_updated: salesUpdated,
+        payments_updated: paymentsUpdated,
+      };
+    });
+  } catch (error) {
+    _logError("migrateLegacySaleIds", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
@@ -0,0 +1,411 @@
+/**
+ * Settings Functions
+ * Typed business settings stored as key/value rows in the `settings` sheet.
+ * Every key in `SETTINGS_SCHEMA` has a type, a default and validation rules,
+ * so the owner can change prices, currency and rules with `update_settings`
+ * instead of editing code. Empty or missing keys fall back to their default.
+ */
+
+// ===  Constants  ===
+const SETTING_TYPES = {
+  STRING: "string",
+  INTEGER: "integer",
+  NUMBER: "number",
+  ENUM: "enum",
+};
+
+/**
+ * The configurable settings. Internal keys such as ID counters and
+ * `schema_version` also live in the `settings` sheet but are not listed here,
+ * so they cannot be changed through `update_settings`.
+ * - `min`/`max`: inclusive bounds for numbers and integers.
+ * - `values`: the allowed values of an enum (matched case-insensitively).
+ * - `pattern`: a RegExp that strings must match, after `uppercase` if set;
+ *   `format` describes it in error messages.
+ * @type {Object<string, {type: string, default: *, description: string, min?: number, max?: number, values?: Array<string>, pattern?: RegExp, format?: string, uppercase?: boolean}>}
+ */
+const SETTINGS_SCHEMA = {
+  currency: {
+    type: SETTING_TYPES.STRING,
+    default: "COP",
+    description: "ISO 4217 currency code shown with amounts",
+    pattern: /^[A-Z]{3}$/,
+    format: "a 3-letter currency code",
+    uppercase: true,
+  },
+  currency_decimals: {
+    type: SETTING_TYPES.INTEGER,
+    default: 0,
+    description: "Decimal places shown with amounts",
+    min: 0,
+    max: 4,
+  },
+  datetime_format: {
+    type: SETTING_TYPES.ENUM,
+    default: "yyyy-MM-dd HH:mm:ss",
+    description: "Format of the timestamps written to the sheets",
+    // Only formats that the date parsing helpers can read back.
+    values: [
+      "yyyy-MM-dd HH:mm:ss",
+      "yyyy-MM-dd'T'HH:mm:ss",
+      "yyyy-MM-dd HH:mm",
+    ],
+  },
+  phone_digits: {
+    type: SETTING_TYPES.INTEGER,
+    default: 10,
+    description: "Number of digits a customer phone number must have",
+    min: 7,
+    max: 15,
+  },
+  default_sku: {
+    type: SETTING_TYPES.STRING,
+    default: "SANDWICH",
+    description: "Product sold by sales registered with a bare quantity",
+    pattern: /^[A-Z0-9_-]+$/,
+    format: "a SKU of letters, digits, '-' and '_'",
+    uppercase: true,
+  },
+  default_product_price: {
+    type: SETTING_TYPES.NUMBER,
+    default: 15000,
+    description: "Price of the default product created by setup",
+    min: 0.01,
+  },
+  default_credit_limit: {
+    type: SETTING_TYPES.NUMBER,
+    default: null,
+    description: "Credit limit for customers without their own; empty for none",
+    min: 0,
+  },
+  credit_limit_mode: {
+    type: SETTING_TYPES.ENUM,
+    default: "block",
+    description:
+      "Whether sales over the credit limit are rejected or only flagged",
+    values: ["block", "warn"],
+  },
+  loyalty_sku: {
+    type: SETTING_TYPES.STRING,
+    default: null,
+    description:
+      "Product that earns loyalty stamps; empty for the default product",
+    pattern: /^[A-Z0-9_-]+$/,
+    format: "a SKU of letters, digits, '-' and '_'",
+    uppercase: true,
+  },
+  loyalty_stamps_per_reward: {
+    type: SETTING_TYPES.INTEGER,
+    default: 10,
+    description: "Stamps needed for a free product",
+    min: 1,
+  },
+  lapsed_gap_factor: {
+    type: SETTING_TYPES.NUMBER,
+    default: 2,
+    description:
+      "A customer is lapsed once the current gap is this many times their usual one",
+    min: 1,
+  },
+  idempotency_window_hours: {
+    type: SETTING_TYPES.NUMBER,
+    default: 24,
+    description: "How long idempotency keys replay their stored response",
+    min: 1,
+  },
+  reminder_template: {
+    type: SETTING_TYPES.STRING,
+    default:
+      "Hi {first_name}, this is a friendly reminder that you have a pending balance of {amount} since {oldest_date}. Thank you!",
+    description: "Payment reminder message",
+  },
+  reminder_email_subject: {
+    type: SETTING_TYPES.STRING,
+    default: "Payment reminder",
+    description: "Subject of payment reminder emails",
+  },
+  reminder_interval_days: {
+    type: SETTING_TYPES.INTEGER,
+    default: 7,
+    description: "Days before the same customer can be reminded again",
+    min: 0,
+  },
+  whatsapp_country_code: {
+    type: SETTING_TYPES.STRING,
+    default: "57", // Colombia
+    description:
+      "Country calling code prefixed to phone numbers in WhatsApp links",
+    pattern: /^\d{1,4}$/,
+    format: "1 to 4 digits",
+  },
+};
+
+/**
+ * Raw `settings` sheet values, read at most once per execution (that is, once
+ * per request). Reset by `_invalidateSettingsCache()` whenever a value is written.
+ */
+let settingsMemo = null;
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to read every key/value row of the `settings` sheet.
+ * @private
+ * @returns {Object<string, *>} The raw values by key; empty if the sheet does not exist yet.
+ */
+function _getSettingsMap() {
+  if (settingsMemo) return settingsMemo;
+
+  const settingsSheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName("settings");
+  if (!settingsSheet) return {};
+
+  const settings = {};
+  settingsSheet
+    .getDataRange()
+    .getValues()
+    .forEach(([key, value]) => {
+      if (key !== "" && !(key in settings)) settings[key] = value;
+    });
+  settingsMemo = settings;
+  return settings;
+}
+
+/**
+ * Private helper to drop the cached `settings` values, so the next read
+ * goes back to the sheet.
+ * @private
+ */
+function _invalidateSettingsCache() {
+  settingsMemo = null;
+}
+
+/**
+ * Private helper to validate a value for a setting and convert it to its type.
+ * @private
+ * @param {string} key - The setting key.
+ * @param {*} value - The raw value (a non-empty string, number or sheet cell).
+ * @throws {Error} A `VALIDATION_ERROR` if the value does not fit the setting.
+ * @returns {string|number} The typed value.
+ */
+function _coerceSettingValue(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  const invalid = (rule) =>
+    _createError(
+      ERROR_CODES.VALIDATION_ERROR,
+      `Setting '${key}' must be ${rule}`,
+    );
+
+  switch (definition.type) {
+    case SETTING_TYPES.INTEGER:
+    case SETTING_TYPES.NUMBER: {
+      const number = Number(value);
+      const isInteger = definition.type === SETTING_TYPES.INTEGER;
+      if (
+        typeof value === "boolean" ||
+        !isFinite(number) ||
+        (isInteger && !Number.isInteger(number))
+      ) {
+        throw invalid(isInteger ? "an integer" : "a number");
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        throw invalid(`at least ${definition.min}`);
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        throw invalid(`at most ${definition.max}`);
+      }
+      return number;
+    }
+
+    case SETTING_TYPES.ENUM: {
+      const clean = String(value).trim().toLowerCase();
+      const match = definition.values.find(
+        (allowed) => allowed.toLowerCase() === clean,
+      );
+      if (match === undefined) {
+        throw invalid(`one of: ${definition.values.join(", ")}`);
+      }
+      return match;
+    }
+
+    default: {
+      let clean = String(value).trim();
+      if (definition.uppercase) clean = clean.toUpperCase();
+      if (definition.pattern && !definition.pattern.test(clean)) {
+        throw invalid(definition.format);
+      }
+      return clean;
+    }
+  }
+}
+
+/**
+ * Private helper to read a typed setting. Values stored by hand that fail
+ * validation are ignored in favour of the default, with a warning.
+ * @private
+ * @param {string} key - A key of `SETTINGS_SCHEMA` (e.g., "phone_digits").
+ * @throws {Error} If the key is not a known setting.
+ * @returns {*} The stored value, or the setting's default when missing or empty.
+ */
+function _getSetting(key) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) throw new Error(`Unknown setting '${key}'`);
+
+  const raw = _getSettingsMap()[key];
+  if (raw === undefined || raw === null || raw === "") {
+    return definition.default;
+  }
+  try {
+    return _coerceSettingValue(key, raw);
+  } catch (error) {
+    console.warn(`${error.message}; using the default instead`);
+    return definition.default;
+  }
+}
+
+/**
+ * Private helper to describe a setting for the API.
+ * @private
+ * @param {string} key - A key of `SETTINGS_SCHEMA`.
+ * @returns {Object} The key, its current typed value, whether that is the default, and its definition.
+ */
+function _describeSetting(key) {
+  const { pattern, uppercase, ...definition } = SETTINGS_SCHEMA[key];
+  const raw = _getSettingsMap()[key];
+  return {
+    key: key,
+    value: _getSetting(key),
+    is_default: raw === undefined || raw === null || raw === "",
+    ...definition,
+  };
+}
+
+/**
+ * Private helper to format an amount with the configured currency.
+ * @private
+ * @param {number} amount - The amount.
+ * @returns {string} The formatted amount (e.g., "COP 30000").
+ */
+function _formatAmount(amount) {
+  return `${_getSetting("currency")} ${Number(amount).toFixed(
+    _getSetting("currency_decimals"),
+  )}`;
+}
+
+/**
+ * Private helper to refuse a `phone_digits` value that stored customers do not
+ * meet. Lookups and updates validate phones against the setting, so a
+ * mismatch would make those customers impossible to find by phone.
+ * @private
+ * @param {number} digits - The new number of digits.
+ * @throws {Error} A `CONFLICT` error listing the first customers whose phone has another length.
+ */
+function _assertPhonesMatchDigits(digits) {
+  const sheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName("customers");
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  const idIdx = headers.indexOf("customer_id");
+  const phoneIdx = headers.indexOf("phone");
+  if (phoneIdx === -1) return;
+
+  const mismatched = data
+    .filter((row) => {
+      const phoneDigits = String(row[phoneIdx]).replace(NON_DIGITS_REGEX, "");
+      return phoneDigits !== "" && phoneDigits.length !== digits;
+    })
+    .map((row) => row[idIdx]);
+  if (mismatched.length > 0) {
+    const examples =
+      mismatched.slice(0, 5).join(", ") + (mismatched.length > 5 ? ", ..." : "");
+    throw _createError(
+      ERROR_CODES.CONFLICT,
+      `Setting 'phone_digits' cannot be ${digits}: ${mismatched.length} customers have phones of another length (${examples}). Update their phones first.`,
+    );
+  }
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Lists every configurable setting with its current value and definition.
+ * @returns {{success: boolean, settings: Array<Object>}|{success: boolean, error: string}} Each setting's key, current value and definition on success, or an error message on failure.
+ */
+function getSettings() {
+  try {
+    return {
+      success: true,
+      settings: Object.keys(SETTINGS_SCHEMA).map(_describeSetting),
+    };
+  } catch (error) {
+    _logError("getSettings", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Changes one or more settings. Every value is validated before any is
+ * written, so an invalid value leaves all settings unchanged. An empty value
+ * or null resets a setting to its default. `phone_digits` can only change to
+ * a length every stored customer phone already has.
+ * @param {Object} params - The parameters.
+ * @param {Object<string, *>} params.settings - The new values by key (e.g., `{ "currency": "USD" }`).
+ * @returns {{success: boolean, settings: Array<Object>}|{success: boolean, error: string, code: string}} The updated settings on success, or an error message on failure.
+ */
+function updateSettings({ settings } = {}) {
+  try {
+    // 1. Validate the keys
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "Field 'settings' must be an object of setting values by key",
+      );
+    }
+    const keys = Object.keys(settings);
+    if (keys.length === 0) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        "Field 'settings' must include at least one setting",
+      );
+    }
+    const unknown = keys.filter((key) => !SETTINGS_SCHEMA[key]);
+    if (unknown.length > 0) {
+      throw _createError(
+        ERROR_CODES.VALIDATION_ERROR,
+        `Unknown settings: ${unknown.join(", ")}. Use get_settings to list them`,
+      );
+    }
+
+    // 2. Validate every value before writing any
+    const cleanValues = {};
+    keys.forEach((key) => {
+      const value = settings[key];
+      cleanValues[key] =
+        value === undefined || value === null || value === ""
+          ? ""
+          : _coerceSettingValue(key, value);
+    });
+
+    // 3. Save them
+    _withScriptLock(() => {
+      if ("phone_digits" in cleanValues) {
+        const digits =
+          cleanValues.phone_digits === ""
+            ? SETTINGS_SCHEMA.phone_digits.default
+            : cleanValues.phone_digits;
+        if (digits !== _getSetting("phone_digits")) {
+          _assertPhonesMatchDigits(digits);
+        }
+      }
+      keys.forEach((key) => _setSettingValue(key, cleanValues[key]));
+    });
+    console.log(`Settings updated: ${keys.join(", ")}`);
+
+    return { success: true, settings: keys.map(_describeSetting) };
+  } catch (error) {
+    _logError("updateSettings", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
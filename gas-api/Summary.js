@@ -1,63 +1,247 @@
 /**
- * Scans all `sales_YYYY_MM` sheets, determines whether each month has any
- * pending balance, and updates the `sales_summary` sheet accordingly.
+ * Sales Summary Functions
+ * Maintains the `sales_summary` sheet: one row per `sales_YYYY_MM` sheet with
+ * its payment status ("pending" or "settled") and monthly totals.
+ */
+
+// ===  Constants  ===
+const SUMMARY_SHEET_NAME = "sales_summary";
+const SUMMARY_HEADERS = [
+  "month",
+  "status",
+  "last_updated_at",
+  "units_sold",
+  "gross_revenue",
+  "discounts",
+  "net_revenue",
+  "amount_collected",
+  "outstanding_balance",
+  "sales_count",
+  "customers_count",
+];
+const SUMMARY_TOTAL_FIELDS = [
+  "units_sold",
+  "gross_revenue",
+  "discounts",
+  "net_revenue",
+  "amount_collected",
+  "outstanding_balance",
+  "sales_count",
+];
+const SUMMARY_MONTH_REGEX = /^\d{4}-\d{2}$/; // e.g. 2025-01
+
+// ================  Helpers  ================
+
+/**
+ * Private helper to compute the summary row of one monthly sales sheet.
+ * Voided and refunded sales are left out of every total.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - A `sales_YYYY_MM` sheet.
+ * @returns {Object|null} The month's status and totals, or null if the sheet lacks a `pending_balance` column.
+ */
+function _summarizeSalesSheet(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data.shift();
+  if (headers.indexOf("pending_balance") === -1) {
+    console.warn(
+      `Sheet '${sheet.getName()}' is missing 'pending_balance' header.`,
+    );
+    return null;
+  }
+
+  const summary = { month: sheet.getName(), customers_count: 0 };
+  SUMMARY_TOTAL_FIELDS.forEach((field) => {
+    summary[field] = 0;
+  });
+  const customers = new Set();
+
+  data
+    .map((row) => _rowToSaleObject(row, headers))
+    .filter((sale) => !_isReversedSale(sale))
+    .forEach((sale) => {
+      const netPrice = Number(sale.total_price) || 0;
+      const discount = Number(sale.discount_amount) || 0;
+      summary.units_sold += Number(sale.quantity) || 0;
+      // Sales registered before promotions have no gross_price column value.
+      summary.gross_revenue +=
+        sale.gross_price === "" || sale.gross_price === undefined
+          ? netPrice + discount
+          : Number(sale.gross_price) || 0;
+      summary.discounts += discount;
+      summary.net_revenue += netPrice;
+      summary.amount_collected += Number(sale.amount_paid) || 0;
+      summary.outstanding_balance += Number(sale.pending_balance) || 0;
+      summary.sales_count += 1;
+      customers.add(sale.customer_id);
+    });
+
+  summary.customers_count = customers.size;
+  summary.status = summary.outstanding_balance > 0 ? "pending" : "settled";
+  return summary;
+}
+
+/**
+ * Private helper to convert a `sales_summary` row to an object.
+ * @private
+ * @param {Array} row - The array of cell values for a single month.
+ * @param {Array} headers - The array of header names from the sheet.
+ * @returns {Object} A summary object with key-value pairs.
+ */
+function _rowToSummaryObject(row, headers) {
+  const summary = {};
+  headers.forEach((header, index) => {
+    summary[header] = row[index];
+  });
+  return summary;
+}
+
+/**
+ * Private helper to read the month statuses stored in `sales_summary`.
+ * @private
+ * @returns {Object<string, string>} A map of sales sheet name to status ("pending" or "settled"). Empty if the sheet is missing.
+ */
+function _getSummaryStatusMap() {
+  const summarySheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SUMMARY_SHEET_NAME);
+  if (!summarySheet) return {};
+
+  const data = summarySheet.getDataRange().getValues();
+  const headers = data.shift();
+  const monthIdx = headers.indexOf("month");
+  const statusIdx = headers.indexOf("status");
+  if (monthIdx === -1 || statusIdx === -1) return {};
+
+  const statusMap = {};
+  data.forEach((row) => {
+    statusMap[row[monthIdx]] = row[statusIdx];
+  });
+  return statusMap;
+}
+
+/**
+ * Private helper to flag a single month as "pending" in `sales_summary`
+ * without rescanning every sales sheet. Keeps the summary trustworthy between
+ * full `updateSalesSummary()` runs when a new sale leaves a balance.
+ * @private
+ * @param {string} sheetName - The sales sheet name (e.g., "sales_2025_01").
+ */
+function _markSummaryMonthPending(sheetName) {
+  const summarySheet =
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SUMMARY_SHEET_NAME);
+  if (!summarySheet) return;
+
+  const now = _formatSaleDate(new Date());
+  const data = summarySheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0] === sheetName) {
+      summarySheet.getRange(i + 1, 2, 1, 2).setValues([["pending", now]]);
+      return;
+    }
+  }
+  summarySheet.appendRow([sheetName, "pending", now]);
+}
+
+// ================ CORE FUNCTIONS ================
+
+/**
+ * Scans all `sales_YYYY_MM` sheets and rebuilds the `sales_summary` sheet:
+ * each month's status ("pending" if any sale has a pending balance, otherwise
+ * "settled"), units sold, revenue before and after discounts, amount collected,
+ * outstanding balance, number of sales and number of distinct customers.
  */
 function updateSalesSummary() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const summarySheet = ss.getSheetByName("sales_summary");
+  const summarySheet = ss.getSheetByName(SUMMARY_SHEET_NAME);
   if (!summarySheet) {
     console.error(
       "Sales summary sheet not found. Please run setupSpreadsheets().",
     );
     return;
   }
-  const allSheets = ss.getSheets();
-
-  const monthStatusMap = {};
-  const now = new Date();
-
-  allSheets.forEach((sheet) => {
-    const name = sheet.getName();
-    // Test if the sheet name matches the sales sheet format.
-    if (/sales_\d{4}_\d{2}/.test(name)) {
-      const data = sheet.getDataRange().getValues();
-      // If sheet is empty or only has a header, mark as settled.
-      if (data.length <= 1) {
-        // <-- Corrected typo here
-        monthStatusMap[name] = "settled";
-        return;
-      }
-
-      const headers = data[0];
-      const pendingIdx = headers.indexOf("pending_balance");
 
-      if (pendingIdx === -1) {
-        console.warn(`Sheet '${name}' is missing 'pending_balance' header.`);
-        return;
-      }
+  const now = _formatSaleDate(new Date());
+  const rows = _getSalesSheetsOldestFirst()
+    .map((sheet) => _summarizeSalesSheet(sheet))
+    .filter(Boolean)
+    .map((summary) =>
+      SUMMARY_HEADERS.map((header) =>
+        header === "last_updated_at" ? now : summary[header],
+      ),
+    );
 
-      // Check if any row has a pending balance greater than 0.
-      const hasPending = data
-        .slice(1) // Skip header row
-        .some((row) => Number(row[pendingIdx]) > 0);
-      monthStatusMap[name] = hasPending ? "pending" : "settled";
-    }
-  });
   // Clear and rebuild summary sheet.
   summarySheet.clearContents();
-  summarySheet.appendRow(["month", "status", "last_updated_at"]);
-
-  // Add the updated status for each month to the summary sheet.
-  Object.entries(monthStatusMap).forEach(([month, status]) => {
-    summarySheet.appendRow([
-      month,
-      status,
-      Utilities.formatDate(
-        now,
-        Session.getScriptTimeZone(),
-        "yyyy-MM-dd HH:mm:ss",
-      ),
-    ]);
-  });
+  summarySheet
+    .getRange(1, 1, rows.length + 1, SUMMARY_HEADERS.length)
+    .setValues([SUMMARY_HEADERS, ...rows]);
   console.log("Sales summary updated.");
 }
+
+/**
+ * Retrieves the monthly figures stored in `sales_summary`, oldest month first,
+ * with their totals. "Pending" months are recounted from their sales sheet on
+ * every read, since new sales only mark them without updating their figures;
+ * "settled" months are as of their `last_updated_at`.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.from] - First month to include, in YYYY-MM format.
+ * @param {string} [options.to] - Last month to include, in YYYY-MM format.
+ * @returns {{success: boolean, months: Array<Object>, totals: Object<string, number>}|{success: boolean, error: string}} The months and their totals on success, or an error message on failure.
+ */
+function getSalesSummary({ from, to } = {}) {
+  try {
+    [
+      ["from", from],
+      ["to", to],
+    ].forEach(([field, value]) => {
+      if (value && !SUMMARY_MONTH_REGEX.test(value)) {
+        throw new Error(`Invalid '${field}'. Use the YYYY-MM format.`);
+      }
+    });
+    const fromSheet = from ? `sales_${from.replace("-", "_")}` : "";
+    const toSheet = to ? `sales_${to.replace("-", "_")}` : "";
+
+    const summarySheet =
+      SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SUMMARY_SHEET_NAME);
+    if (!summarySheet) {
+      throw new Error(
+        "Sales summary sheet not found. Please run setupSpreadsheets().",
+      );
+    }
+    const data = summarySheet.getDataRange().getValues();
+    const headers = data.shift();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const now = _formatSaleDate(new Date());
+
+    const months = data
+      .map((row) => _rowToSummaryObject(row, headers))
+      .filter(
+        (summary) =>
+          (!fromSheet || summary.month >= fromSheet) &&
+          (!toSheet || summary.month <= toSheet),
+      )
+      .map((summary) => {
+        if (summary.status !== "pending") return summary;
+        const sheet = ss.getSheetByName(summary.month);
+        const current = sheet ? _summarizeSalesSheet(sheet) : null;
+        if (!current) return summary;
+        const recounted = { ...current, last_updated_at: now };
+        return Object.fromEntries(
+          SUMMARY_HEADERS.map((header) => [header, recounted[header]]),
+        );
+      })
+      .sort((a, b) => String(a.month).localeCompare(String(b.month)));
+
+    const totals = {};
+    SUMMARY_TOTAL_FIELDS.forEach((field) => {
+      totals[field] = months.reduce(
+        (sum, summary) => sum + (Number(summary[field]) || 0),
+        0,
+      );
+    });
+
+    return { success: true, months: months, totals: totals };
+  } catch (error) {
+    _logError("getSalesSummary", error);
+    return { success: false, error: error.message, code: error.code };
+  }
+}
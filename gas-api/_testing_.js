@@ -191,3 +191,1471 @@
 //     console.error(`❌ Lookup by ${key} failed: no result`);
 //   }
 // }
+
+// ================ AUTOMATED CHECKS ================
+// Run `runAllTests()` from the script editor on a COPY of the spreadsheet:
+// the checks register real customers, sales and payments. Each check logs
+// ✅ or ❌, and the run ends with a count of both.
+
+/** Pass/fail counts of the current `runAllTests()` run. */
+let testResults = { passed: 0, failed: 0 };
+let testPhoneCounter = 0;
+
+/**
+ * Records one check.
+ * @param {string} name - What is being checked.
+ * @param {boolean} condition - True when the check passes.
+ * @param {*} [detail] - Logged when the check fails.
+ */
+function __check(name, condition, detail) {
+  if (condition) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.error(
+      `❌ ${name}`,
+      detail === undefined ? "" : JSON.stringify(detail),
+    );
+  }
+}
+
+/**
+ * Checks that a core function call failed with the expected error code.
+ * @param {string} name - What is being checked.
+ * @param {Object} result - The `{ success: false, code }` result.
+ * @param {string} [code] - The expected `ERROR_CODES` value.
+ */
+function __expectFailure(name, result, code) {
+  __check(
+    name,
+    result.success === false && (!code || result.code === code),
+    result,
+  );
+}
+
+/**
+ * Builds a phone number no other test run, or earlier call, has used.
+ * @returns {string} A 10-digit phone number.
+ */
+function __nextTestPhone() {
+  testPhoneCounter++;
+  return `3${String(Date.now() + testPhoneCounter).slice(-9)}`;
+}
+
+/**
+ * Registers a customer with a phone number no other test run has used.
+ * @param {Object} [names] - Optional `first_name` and `last_name` to use instead of the defaults.
+ * @returns {Object} The new customer.
+ */
+function __registerTestCustomer(names) {
+  const phone = __nextTestPhone();
+  const result = registerCustomer({
+    first_name: "Test",
+    last_name: `Customer ${testPhoneCounter}`,
+    ...names,
+    phone: phone,
+  });
+  if (!result.success) throw new Error(`Test customer: ${result.error}`);
+  return result.customer;
+}
+
+/**
+ * Runs every automated check and logs a summary.
+ * @returns {{passed: number, failed: number}} The counts.
+ */
+function runAllTests() {
+  testResults = { passed: 0, failed: 0 };
+  [
+    testRegisterSale,
+    testRecordPayment,
+    testPayCustomerBalance,
+    testCustomerStatementDateRange,
+    testRouterActions,
+    testApiKeyAuthentication,
+    testScriptLock,
+    testIdempotentReplay,
+    testAtomicBatchRollback,
+    testCustomerSearchRanking,
+    testCustomerLookupAfterHandEdit,
+    testSaleIds,
+    testVoidAndRefundSale,
+    testFailedSaleLeavesNoRows,
+    testPromotions,
+    testLoyalty,
+    testCreditLimit,
+    testAgingReport,
+    testSalesSummaryPendingMonth,
+    testLapsedCustomers,
+    testCashClose,
+    testPaymentReminders,
+    testJobScheduleOverrides,
+    testMigrations,
+    testPhoneDigitsSetting,
+  ].forEach((test) => {
+    console.log(`\n--- ${test.name} ---`);
+    try {
+      test();
+    } catch (error) {
+      __check(`${test.name} ran to the end`, false, error.message);
+    }
+  });
+  console.log(
+    `\n${testResults.passed} checks passed, ${testResults.failed} failed`,
+  );
+  return testResults;
+}
+
+function testRegisterSale() {
+  const customer = __registerTestCustomer();
+
+  const partial = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 2,
+    amount_paid: 1,
+    payment_method: "cash",
+  });
+  __check("registerSale succeeds", partial.success, partial);
+  const sale = partial.sale;
+  __check(
+    "total is units times the catalog price",
+    sale.total_price === sale.unit_price * 2,
+    sale,
+  );
+  __check(
+    "pending balance is total minus amount paid",
+    sale.pending_balance === sale.total_price - 1,
+    sale,
+  );
+  __check("partly paid sale is Partial", sale.status === SALE_STATUS.PARTIAL);
+  __check(
+    "sale is stored and found by id",
+    getSaleById(sale.sale_id).sale.sale_id === sale.sale_id,
+  );
+
+  __expectFailure(
+    "unknown customer is rejected",
+    registerSale({ customer_id: "C99999", quantity: 1 }),
+    ERROR_CODES.NOT_FOUND,
+  );
+  __expectFailure(
+    "zero quantity is rejected",
+    registerSale({ customer_id: customer.customer_id, quantity: 0 }),
+  );
+  __expectFailure(
+    "amount paid above the total is rejected",
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      amount_paid: sale.unit_price + 1,
+    }),
+  );
+  __expectFailure(
+    "a client unit_price is rejected",
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      unit_price: 1,
+    }),
+    ERROR_CODES.VALIDATION_ERROR,
+  );
+  __expectFailure(
+    "a unit_price sent with items is rejected",
+    registerSale({
+      customer_id: customer.customer_id,
+      items: [{ sku: _getSetting("default_sku"), quantity: 1 }],
+      unit_price: 1,
+    }),
+    ERROR_CODES.VALIDATION_ERROR,
+  );
+}
+
+function testRecordPayment() {
+  const customer = __registerTestCustomer();
+  const sale = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+  }).sale;
+
+  __expectFailure(
+    "payment above the pending balance is rejected",
+    recordPayment({ sale_id: sale.sale_id, amount: sale.total_price + 1 }),
+  );
+  __expectFailure(
+    "unknown payment method is rejected",
+    recordPayment({ sale_id: sale.sale_id, amount: 1, method: "barter" }),
+  );
+
+  // Make the sale update, the last write, fail.
+  const setRowWithUndo = _setRowWithUndo;
+  let failed;
+  try {
+    _setRowWithUndo = () => {
+      throw new Error("Simulated write failure");
+    };
+    failed = recordPayment({ sale_id: sale.sale_id, amount: 1 });
+  } finally {
+    _setRowWithUndo = setRowWithUndo;
+  }
+  __expectFailure("a failed sale update fails the payment", failed);
+  __check(
+    "a failed payment leaves no ledger entry",
+    getPaymentsForSale(sale.sale_id).length === 0,
+    getPaymentsForSale(sale.sale_id),
+  );
+
+  const first = recordPayment({ sale_id: sale.sale_id, amount: 1 });
+  __check("partial payment succeeds", first.success, first);
+  __check(
+    "partial payment leaves the sale Partial",
+    first.sale.status === SALE_STATUS.PARTIAL &&
+      first.sale.pending_balance === sale.total_price - 1,
+    first.sale,
+  );
+
+  const rest = recordPayment({
+    sale_id: sale.sale_id,
+    amount: sale.total_price - 1,
+    method: "nequi",
+  });
+  __check(
+    "paying the rest marks the sale Paid",
+    rest.success && rest.sale.status === SALE_STATUS.PAID,
+    rest,
+  );
+  const payments = getPaymentsForSale(sale.sale_id);
+  __check(
+    "both payments are in the ledger",
+    payments.length === 2 &&
+      payments.reduce((sum, p) => sum + Number(p.amount), 0) ===
+        sale.total_price,
+    payments,
+  );
+  __expectFailure(
+    "paying a paid sale is rejected",
+    recordPayment({ sale_id: sale.sale_id, amount: 1 }),
+  );
+}
+
+function testPayCustomerBalance() {
+  const customer = __registerTestCustomer();
+  const older = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    sale_date: "2024-03-01T10:00:00",
+  }).sale;
+  const newer = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    sale_date: "2024-03-02T10:00:00",
+  }).sale;
+  const owed = older.total_price + newer.total_price;
+
+  __expectFailure(
+    "lump sum above the outstanding balance is rejected",
+    payCustomerBalance({ customer_id: customer.customer_id, amount: owed + 1 }),
+  );
+
+  // Make the second sale update fail, after the first sale was paid.
+  const setRowWithUndo = _setRowWithUndo;
+  let failed;
+  try {
+    let calls = 0;
+    _setRowWithUndo = (...args) => {
+      if (++calls === 2) throw new Error("Simulated write failure");
+      return setRowWithUndo(...args);
+    };
+    failed = payCustomerBalance({
+      customer_id: customer.customer_id,
+      amount: owed,
+    });
+  } finally {
+    _setRowWithUndo = setRowWithUndo;
+  }
+  __expectFailure("a failed allocation fails the lump sum", failed);
+  __check(
+    "a failed lump sum leaves every sale and the ledger untouched",
+    getSaleById(older.sale_id).sale.pending_balance === older.total_price &&
+      getPaymentsForSale(older.sale_id).length === 0 &&
+      getPaymentsForSale(newer.sale_id).length === 0,
+    getSaleById(older.sale_id).sale,
+  );
+
+  const result = payCustomerBalance({
+    customer_id: customer.customer_id,
+    amount: older.total_price + 1,
+  });
+  __check("lump sum payment succeeds", result.success, result);
+  __check(
+    "the oldest sale is settled first",
+    result.settled.length === 1 &&
+      result.settled[0].sale_id === older.sale_id,
+    result,
+  );
+  __check(
+    "the remainder goes to the next sale",
+    result.partially_paid.length === 1 &&
+      result.partially_paid[0].sale_id === newer.sale_id &&
+      result.partially_paid[0].applied === 1,
+    result,
+  );
+  __check(
+    "remaining balance is what is still owed",
+    result.remaining_balance === owed - older.total_price - 1,
+    result,
+  );
+}
+
+function testCustomerStatementDateRange() {
+  const customer = __registerTestCustomer();
+  // Late in the evening: past midnight UTC in the Americas.
+  const sale = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    sale_date: "2024-04-10T22:30:00",
+  }).sale;
+  const saleIds = (options) =>
+    getCustomerStatement(customer.customer_id, options).lines.map(
+      (line) => line.sale_id,
+    );
+
+  __check(
+    "a date-only range covers the whole local day",
+    saleIds({ from: "2024-04-10", to: "2024-04-10" }).includes(sale.sale_id),
+  );
+  __check(
+    "a range starting the next day leaves the sale out",
+    !saleIds({ from: "2024-04-11" }).includes(sale.sale_id),
+  );
+  __expectFailure(
+    "an invalid date is rejected",
+    getCustomerStatement(customer.customer_id, { from: "2024-99-99" }),
+  );
+}
+
+function testRouterActions() {
+  const reader = { key_id: "TEST", role: "reader" };
+  const customer = __registerTestCustomer();
+
+  __expectFailure(
+    "an unknown action is rejected",
+    _executeAction("GET", "no_such_action", {}, reader),
+    ERROR_CODES.UNKNOWN_ACTION,
+  );
+  __expectFailure(
+    "a write over GET is rejected",
+    _executeAction("GET", "register_customer", {}, reader),
+    ERROR_CODES.METHOD_NOT_ALLOWED,
+  );
+  __expectFailure(
+    "an anonymous caller is rejected",
+    _executeAction("GET", "get_all_customers", {}, null),
+    ERROR_CODES.UNAUTHORIZED,
+  );
+  __expectFailure(
+    "a role below the action's role is rejected",
+    _executeAction(
+      "POST",
+      "register_customer",
+      { first_name: "Router", last_name: "Test", phone: "3000000000" },
+      reader,
+    ),
+    ERROR_CODES.FORBIDDEN,
+  );
+  __expectFailure(
+    "a missing required field is rejected",
+    _executeAction("GET", "find_customer_by_id", {}, reader),
+    ERROR_CODES.VALIDATION_ERROR,
+  );
+
+  const found = _executeAction(
+    "GET",
+    "findCustomerById",
+    { customer_id: customer.customer_id },
+    reader,
+  );
+  __check(
+    "a legacy alias runs the canonical action",
+    found.success && found.data.customer_id === customer.customer_id,
+    found,
+  );
+  const cashier = { key_id: "TEST", role: "cashier" };
+  const updated = _executeAction(
+    "POST",
+    "update_customer",
+    { customer_id: customer.customer_id, first_name: "Routed" },
+    cashier,
+  );
+  __check(
+    "resultKey unwraps the handler result",
+    updated.success && updated.data.first_name === "Routed",
+    updated,
+  );
+}
+
+function testApiKeyAuthentication() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const hadSheet = Boolean(ss.getSheetByName(API_KEYS_SHEET_NAME));
+  __check(
+    "an unknown key is rejected",
+    _authenticateApiKey("sk_not_a_real_key") === null,
+  );
+  __check(
+    "authenticating never creates the api_keys sheet",
+    Boolean(ss.getSheetByName(API_KEYS_SHEET_NAME)) === hadSheet,
+  );
+
+  const created = createApiKey({ label: "Test key", role: "reader" });
+  __check("createApiKey succeeds", created.success, created);
+  const caller = _authenticateApiKey(created.api_key);
+  __check(
+    "the new key authenticates with its role",
+    caller !== null && caller.role === "reader" && !("key_hash" in caller),
+    caller,
+  );
+
+  revokeApiKey({ key_id: created.key.key_id });
+  __check(
+    "a revoked key is rejected",
+    _authenticateApiKey(created.api_key) === null,
+  );
+}
+
+function testScriptLock() {
+  const lock = LockService.getScriptLock();
+  const result = _withScriptLock(() => ({
+    held: lock.hasLock(),
+    nested: _withScriptLock(() => "nested"),
+    heldAfterNested: lock.hasLock(),
+  }));
+  __check(
+    "the lock is held while the function runs",
+    result.held && result.heldAfterNested,
+    result,
+  );
+  __check("a nested call runs under the same lock", result.nested === "nested");
+  __check("the lock is released afterwards", !lock.hasLock());
+
+  try {
+    _withScriptLock(() => {
+      throw new Error("Simulated failure");
+    });
+  } catch (error) {
+    // Expected: only the release is checked.
+  }
+  __check("the lock is released after a failure", !lock.hasLock());
+
+  const first = _incrementSettingsCounter("test_lock_counter");
+  const second = _incrementSettingsCounter("test_lock_counter");
+  __check(
+    "counter values are handed out once each",
+    second === first + 1,
+    { first: first, second: second },
+  );
+}
+
+function testIdempotentReplay() {
+  const caller = { key_id: "TEST", role: "admin" };
+  const key = `test-${Date.now()}`;
+  let runs = 0;
+  const execute = () => {
+    runs++;
+    return { success: true, data: { run: runs } };
+  };
+
+  const first = _runIdempotent(key, "register_sale", caller, execute);
+  const retry = _runIdempotent(key, "register_sale", caller, execute);
+  __check(
+    "a retry replays the first response",
+    runs === 1 && retry.replayed === true && retry.data.run === 1,
+    { first: first, retry: retry },
+  );
+  __expectFailure(
+    "a key reused for another action is rejected",
+    _runIdempotent(key, "record_payment", caller, execute),
+    ERROR_CODES.CONFLICT,
+  );
+
+  const busyKey = `${key}-busy`;
+  const busy = () =>
+    _runIdempotent(busyKey, "register_sale", caller, () => {
+      runs++;
+      return _errorEnvelope(ERROR_CODES.BUSY, "Busy");
+    });
+  busy();
+  __check("a BUSY response is not stored", !busy().replayed);
+
+  // Over the cell limit: stored as a marker, replayed once the cache expires.
+  const largeKey = `${key}-large`;
+  const large = _runIdempotent(largeKey, "batch", caller, () => ({
+    success: true,
+    data: "x".repeat(MAX_CELL_LENGTH),
+  }));
+  CacheService.getScriptCache().remove(
+    `${IDEMPOTENCY_CACHE_PREFIX}${caller.key_id}:${largeKey}`,
+  );
+  const largeRetry = _runIdempotent(largeKey, "batch", caller, execute);
+  __check(
+    "a response too large to store still returns and replays",
+    large.data.length === MAX_CELL_LENGTH &&
+      largeRetry.replayed &&
+      largeRetry.truncated,
+    largeRetry,
+  );
+
+  const runIdempotent = _runIdempotent;
+  let response;
+  try {
+    _runIdempotent = () => {
+      throw _createError(ERROR_CODES.BUSY, "Simulated busy lock");
+    };
+    response = doPost({
+      postData: {
+        contents: JSON.stringify({ action: "health", idempotency_key: key }),
+      },
+    });
+  } finally {
+    _runIdempotent = runIdempotent;
+  }
+  __expectFailure(
+    "a lock timeout on a keyed request is a JSON error",
+    JSON.parse(response.getContent()),
+    ERROR_CODES.BUSY,
+  );
+}
+
+function testAtomicBatchRollback() {
+  const caller = { key_id: "TEST", role: "admin" };
+  const phone = __nextTestPhone();
+  const counterBefore = _getSettingValue("last_customer_id_number", 0);
+
+  const result = runBatch(
+    [
+      {
+        action: "register_customer",
+        data: { first_name: "Batch", last_name: "Rollback", phone: phone },
+      },
+      { action: "register_sale", data: { customer_id: "C99999", quantity: 1 } },
+    ],
+    true,
+    caller,
+  );
+  __expectFailure(
+    "an atomic batch fails with its failing item",
+    result,
+    ERROR_CODES.NOT_FOUND,
+  );
+  __check(
+    "the earlier customer write is rolled back",
+    findCustomerByPhone(phone) === null,
+  );
+  __check(
+    "the customer ID counter is rolled back",
+    _getSettingValue("last_customer_id_number", 0) === counterBefore,
+  );
+
+  __expectFailure(
+    "an action with effects outside the spreadsheet is rejected",
+    runBatch(
+      [{ action: "send_payment_reminders", data: { channel: "whatsapp" } }],
+      true,
+      caller,
+    ),
+    ERROR_CODES.VALIDATION_ERROR,
+  );
+}
+
+function testCustomerSearchRanking() {
+  // A surname no other customer has: the run's timestamp spelled in letters.
+  const surname = `Qu${String(Date.now())
+    .slice(-6)
+    .replace(/\d/g, (digit) => "abcdefghij"[digit])}`;
+  const exact = __registerTestCustomer({
+    first_name: "Search",
+    last_name: surname,
+  });
+  const prefix = __registerTestCustomer({
+    first_name: "Search",
+    last_name: `${surname}ez`,
+  });
+  const ids = (result) =>
+    result.results.map((customer) => customer.customer_id);
+
+  const ranked = searchCustomers({ query: surname.toLowerCase() });
+  __check(
+    "an exact surname ranks above a prefix match",
+    ranked.success &&
+      ranked.total === 2 &&
+      ids(ranked).join() === [exact.customer_id, prefix.customer_id].join(),
+    ranked,
+  );
+  __check(
+    "matching ignores case and accents",
+    ids(searchCustomers({ query: `QÚ${surname.slice(2)}` }))[0] ===
+      exact.customer_id,
+  );
+  __check(
+    "a typo still finds the customer",
+    ids(searchCustomers({ query: `${surname.slice(0, -1)}x` })).includes(
+      exact.customer_id,
+    ),
+  );
+  const page = searchCustomers({ query: surname, limit: 1, offset: 1 });
+  __check(
+    "offset and limit page through the ranking",
+    page.total === 2 && ids(page).join() === prefix.customer_id,
+    page,
+  );
+  __check(
+    "part of a phone number finds the customer",
+    ids(searchCustomers({ query: String(exact.phone).slice(-6) })).includes(
+      exact.customer_id,
+    ),
+  );
+}
+
+function testCustomerLookupAfterHandEdit() {
+  const customer = __registerTestCustomer();
+  const { rowIndex } = _findCustomerAndIndexBy("phone", customer.phone);
+  const sheet = _getCustomersSheetOrThrow();
+  const headers = _getHeaderRow(sheet);
+  const newPhone = __nextTestPhone();
+
+  // Edit the phone by hand, then look it up as the next request would: with
+  // an empty memo and the now stale index in CacheService.
+  sheet.getRange(rowIndex, headers.indexOf("phone") + 1).setValue(newPhone);
+  customerIndexMemo = null;
+
+  __check(
+    "the old phone is no longer found",
+    findCustomerByPhone(customer.phone) === null,
+  );
+  const found = findCustomerByPhone(newPhone);
+  __check(
+    "the stale hit rebuilds the index, so the new phone is found",
+    found !== null && found.customer_id === customer.customer_id,
+    found,
+  );
+
+  // A miss on the cached index must not scan the whole sheet.
+  customerIndexMemo = null;
+  const buildCustomerIndex = _buildCustomerIndex;
+  let builds = 0;
+  try {
+    _buildCustomerIndex = (...args) => {
+      builds++;
+      return buildCustomerIndex(...args);
+    };
+    findCustomerByPhone(__nextTestPhone());
+  } finally {
+    _buildCustomerIndex = buildCustomerIndex;
+  }
+  __check("a miss does not rebuild the index", builds === 0, builds);
+
+  // Add a row by hand: the row count no longer matches the cached index.
+  const handAdded = {
+    customer_id: `CHAND${String(Date.now()).slice(-6)}`,
+    first_name: "Hand",
+    last_name: "Added",
+    phone: __nextTestPhone(),
+  };
+  sheet.appendRow(
+    headers.map((header) =>
+      handAdded[header] === undefined ? "" : handAdded[header],
+    ),
+  );
+  customerIndexMemo = null;
+  try {
+    const added = findCustomerByPhone(handAdded.phone);
+    __check(
+      "a row added by hand is found",
+      added !== null && added.customer_id === handAdded.customer_id,
+      added,
+    );
+  } finally {
+    sheet.deleteRows(sheet.getLastRow(), 1);
+    _invalidateCustomerIndex();
+  }
+}
+
+function testSaleIds() {
+  const customer = __registerTestCustomer();
+  const sell = () =>
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      sale_date: "2024-06-15T10:00:00",
+    }).sale;
+  const first = sell();
+  const second = sell();
+  const firstId = _parseSaleId(first.sale_id);
+
+  __check(
+    "sale IDs carry the month of the sale",
+    /^S202406-\d{5}$/.test(first.sale_id),
+    first.sale_id,
+  );
+  __check(
+    "sale IDs in a month are consecutive",
+    _parseSaleId(second.sale_id).number === firstId.number + 1,
+    { first: first.sale_id, second: second.sale_id },
+  );
+
+  const found = getSaleById(first.sale_id);
+  __check(
+    "getSaleById finds the sale with its sheet and items",
+    found.success &&
+      found.sale.sale_id === first.sale_id &&
+      found.sale.sales_sheet === "sales_2024_06" &&
+      found.sale.items.length === 1,
+    found,
+  );
+  const legacy = getSaleById(
+    `S${String(firstId.number).padStart(5, "0")}`,
+    "2024-06",
+  );
+  __check(
+    "a legacy ID with its month finds the migrated sale",
+    legacy.success && legacy.sale.sale_id === first.sale_id,
+    legacy,
+  );
+  __expectFailure(
+    "a legacy ID without a month is rejected",
+    getSaleById("S00001"),
+  );
+  __expectFailure("a malformed ID is rejected", getSaleById("sale-1"));
+  __expectFailure(
+    "an unknown ID is not found",
+    getSaleById("S209912-00001"),
+    ERROR_CODES.NOT_FOUND,
+  );
+}
+
+function testVoidAndRefundSale() {
+  const customer = __registerTestCustomer();
+  const unpaid = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+  }).sale;
+  const paid = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    amount_paid: 1,
+  }).sale;
+
+  __expectFailure(
+    "a void without a reason is rejected",
+    voidSale({ sale_id: unpaid.sale_id }),
+  );
+  const voided = voidSale({ sale_id: unpaid.sale_id, reason: "Test" });
+  __check(
+    "voiding clears the pending balance",
+    voided.success &&
+      voided.sale.status === SALE_STATUS.VOIDED &&
+      voided.sale.pending_balance === 0,
+    voided,
+  );
+  __expectFailure(
+    "a sale cannot be voided twice",
+    voidSale({ sale_id: unpaid.sale_id, reason: "Test" }),
+    ERROR_CODES.CONFLICT,
+  );
+  __expectFailure(
+    "a sale with payments cannot be voided",
+    voidSale({ sale_id: paid.sale_id, reason: "Test" }),
+    ERROR_CODES.CONFLICT,
+  );
+  __expectFailure(
+    "a sale without payments cannot be refunded",
+    refundSale({ sale_id: unpaid.sale_id, reason: "Test" }),
+    ERROR_CODES.CONFLICT,
+  );
+
+  // Make the ledger entry, the last write of a refund, fail.
+  const appendPaymentRecord = _appendPaymentRecord;
+  let failed;
+  try {
+    _appendPaymentRecord = () => {
+      throw new Error("Simulated write failure");
+    };
+    failed = refundSale({ sale_id: paid.sale_id, reason: "Test" });
+  } finally {
+    _appendPaymentRecord = appendPaymentRecord;
+  }
+  __expectFailure("a failed ledger write fails the refund", failed);
+  __check(
+    "a failed refund leaves the sale as it was",
+    getSaleById(paid.sale_id).sale.status === paid.status &&
+      getPaymentsForSale(paid.sale_id).length === 1,
+    getSaleById(paid.sale_id).sale,
+  );
+
+  const refunded = refundSale({ sale_id: paid.sale_id, reason: "Test" });
+  __check(
+    "refunding returns everything paid",
+    refunded.success &&
+      refunded.sale.status === SALE_STATUS.REFUNDED &&
+      refunded.sale.amount_paid === 0 &&
+      refunded.sale.pending_balance === 0 &&
+      refunded.payment.amount === -1,
+    refunded,
+  );
+  const payments = getPaymentsForSale(paid.sale_id);
+  __check(
+    "the ledger nets to zero after the refund",
+    payments.reduce((sum, p) => sum + Number(p.amount), 0) === 0,
+    payments,
+  );
+  __check(
+    "reversed sales leave the outstanding balance",
+    _getCustomerOutstandingBalance(customer.customer_id) === 0,
+  );
+}
+
+function testFailedSaleLeavesNoRows() {
+  const customer = __registerTestCustomer();
+  const salesSheet = _getSalesSheetForMonth("2024-05");
+  const rowCounts = () => [
+    salesSheet.getLastRow(),
+    _getSaleItemsSheet().getLastRow(),
+    _getLoyaltySheet().getLastRow(),
+    _getPaymentsSheet().getLastRow(),
+  ];
+  const before = rowCounts();
+
+  // Make the down payment, one of the last writes, fail.
+  const appendPaymentRecord = _appendPaymentRecord;
+  let result;
+  try {
+    _appendPaymentRecord = () => {
+      throw new Error("Simulated write failure");
+    };
+    result = registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      amount_paid: 1,
+      sale_date: "2024-05-01T10:00:00",
+    });
+  } finally {
+    _appendPaymentRecord = appendPaymentRecord;
+  }
+
+  __expectFailure("a failed write fails the sale", result);
+  __check(
+    "the sale, its items and its stamps are removed again",
+    JSON.stringify(rowCounts()) === JSON.stringify(before),
+    { before: before, after: rowCounts() },
+  );
+}
+
+function testPromotions() {
+  const customer = __registerTestCustomer();
+  const sku = _getSetting("default_sku");
+  // Coded promotions only, so that other sales on the copy are not discounted.
+  const suffix = String(Date.now()).slice(-6);
+  const percentage = createPromotion({
+    name: "Test 10%",
+    type: PROMOTION_TYPES.PERCENTAGE,
+    value: 10,
+    code: `TEST10${suffix}`,
+    max_uses: 1,
+  }).promotion;
+  const twoForOne = createPromotion({
+    name: "Test 2x1",
+    type: PROMOTION_TYPES.BUY_X_GET_Y,
+    sku: sku,
+    buy_quantity: 1,
+    get_quantity: 1,
+    code: `TEST2X1${suffix}`,
+  }).promotion;
+
+  try {
+    __expectFailure(
+      "a percentage above 100 is rejected",
+      createPromotion({
+        name: "Test",
+        type: PROMOTION_TYPES.PERCENTAGE,
+        value: 150,
+      }),
+    );
+    __expectFailure(
+      "a duplicate code is rejected",
+      createPromotion({
+        name: "Test",
+        type: PROMOTION_TYPES.FIXED_AMOUNT,
+        value: 1,
+        code: percentage.code,
+      }),
+      ERROR_CODES.CONFLICT,
+    );
+
+    const discounted = registerSale({
+      customer_id: customer.customer_id,
+      quantity: 2,
+      promo_code: percentage.code,
+    }).sale;
+    __check(
+      "a percentage code discounts the sale",
+      discounted.promo_id === percentage.promo_id &&
+        discounted.discount_amount ===
+          Math.round(discounted.gross_price / 10) &&
+        discounted.total_price ===
+          discounted.gross_price - discounted.discount_amount,
+      discounted,
+    );
+    __expectFailure(
+      "a code past its max uses is rejected",
+      registerSale({
+        customer_id: customer.customer_id,
+        quantity: 1,
+        promo_code: percentage.code,
+      }),
+    );
+    voidSale({ sale_id: discounted.sale_id, reason: "Test" });
+    __check(
+      "voiding a sale gives its promotion use back",
+      registerSale({
+        customer_id: customer.customer_id,
+        quantity: 1,
+        promo_code: percentage.code,
+      }).success,
+    );
+
+    const free = registerSale({
+      customer_id: customer.customer_id,
+      quantity: 2,
+      promo_code: twoForOne.code,
+    }).sale;
+    __check(
+      "2x1 makes one of two units free",
+      free.discount_amount === free.gross_price / 2,
+      free,
+    );
+    __expectFailure(
+      "an unknown code is rejected",
+      registerSale({
+        customer_id: customer.customer_id,
+        quantity: 1,
+        promo_code: `NOPE${suffix}`,
+      }),
+    );
+  } finally {
+    updatePromotion({ promo_id: percentage.promo_id, active: false });
+    updatePromotion({ promo_id: twoForOne.promo_id, active: false });
+  }
+}
+
+function testLoyalty() {
+  const customer = __registerTestCustomer();
+  const { sku, stamps_per_reward } = _getLoyaltySettings();
+  registerSale({
+    customer_id: customer.customer_id,
+    items: [{ sku: sku, quantity: stamps_per_reward }],
+  });
+
+  const earned = getLoyaltyStatus(customer.customer_id).loyalty;
+  __check(
+    "each unit of the loyalty product earns a stamp",
+    earned.stamps === stamps_per_reward && earned.rewards_available === 1,
+    earned,
+  );
+
+  // Make the redemption entry, written after the sale row, fail.
+  const salesSheet = _getSalesSheetForMonth(
+    _formatSaleDate(new Date(), "yyyy-MM"),
+  );
+  const salesRows = salesSheet.getLastRow();
+  const appendLoyaltyEntry = _appendLoyaltyEntry;
+  let failed;
+  try {
+    _appendLoyaltyEntry = () => {
+      throw new Error("Simulated write failure");
+    };
+    failed = redeemReward({ customer_id: customer.customer_id });
+  } finally {
+    _appendLoyaltyEntry = appendLoyaltyEntry;
+  }
+  __expectFailure("a failed redemption entry fails the redemption", failed);
+  __check(
+    "a failed redemption leaves no free sale and keeps the stamps",
+    salesSheet.getLastRow() === salesRows &&
+      getLoyaltyStatus(customer.customer_id).loyalty.stamps ===
+        stamps_per_reward,
+    { before: salesRows, after: salesSheet.getLastRow() },
+  );
+
+  const redeemed = redeemReward({ customer_id: customer.customer_id });
+  __check(
+    "redeeming spends the stamps on a free sale",
+    redeemed.success &&
+      redeemed.sale.total_price === 0 &&
+      redeemed.loyalty.stamps === 0 &&
+      redeemed.loyalty.rewards_redeemed === 1,
+    redeemed,
+  );
+  __expectFailure(
+    "a reward needs enough stamps",
+    redeemReward({ customer_id: customer.customer_id }),
+    ERROR_CODES.CONFLICT,
+  );
+
+  voidSale({ sale_id: redeemed.sale.sale_id, reason: "Test" });
+  __check(
+    "voiding a redemption gives its stamps back",
+    getLoyaltyStatus(customer.customer_id).loyalty.stamps ===
+      stamps_per_reward,
+  );
+}
+
+function testCreditLimit() {
+  const customer = __registerTestCustomer();
+  const first = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+  }).sale;
+  const limit = first.total_price + 1;
+  const limited = setCustomerCreditLimit({
+    customer_id: customer.customer_id,
+    credit_limit: limit,
+  });
+  __check("setCustomerCreditLimit succeeds", limited.success, limited);
+
+  const blocked = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+  });
+  __expectFailure(
+    "a sale over the credit limit is blocked",
+    blocked,
+    ERROR_CODES.CREDIT_LIMIT_EXCEEDED,
+  );
+
+  const paidUpFront = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    amount_paid: first.total_price,
+  });
+  __check(
+    "a sale paid in full is allowed over the limit",
+    paidUpFront.success && paidUpFront.sale.credit.over_limit === false,
+    paidUpFront,
+  );
+
+  const previousMode = _getSettingsMap().credit_limit_mode;
+  updateSettings({ settings: { credit_limit_mode: CREDIT_LIMIT_MODES.WARN } });
+  try {
+    const warned = registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+    });
+    __check(
+      "warn mode registers the sale and flags it",
+      warned.success &&
+        warned.sale.credit.over_limit === true &&
+        warned.sale.credit.credit_limit === limit,
+      warned,
+    );
+  } finally {
+    updateSettings({
+      settings: {
+        credit_limit_mode: previousMode === undefined ? "" : previousMode,
+      },
+    });
+  }
+}
+
+function testAgingReport() {
+  const customer = __registerTestCustomer();
+  const sell = (saleDate) =>
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      sale_date: saleDate,
+    }).sale;
+  // Ages on 2024-02-10: 101, 40, 16 and 2 days; the last sale comes after.
+  const price = sell("2023-11-01T10:00:00").total_price;
+  sell("2024-01-01T10:00:00");
+  sell("2024-01-25T10:00:00");
+  sell("2024-02-08T10:00:00");
+  sell("2024-02-20T10:00:00");
+
+  const report = getAgingReport({ as_of: "2024-02-10" });
+  const entry = report.success
+    ? report.customers.find((c) => c.customer_id === customer.customer_id)
+    : null;
+  __check(
+    "each pending sale lands in the bucket of its age",
+    entry && AGING_BUCKETS.every(({ key }) => entry.buckets[key] === price),
+    entry,
+  );
+  __check(
+    "sales after as_of are left out",
+    entry && entry.total === price * 4,
+    entry,
+  );
+  __check(
+    "the oldest pending sale is reported",
+    entry && entry.oldest_sale_datetime.startsWith("2023-11-01"),
+    entry,
+  );
+  __check(
+    "bucket edges are inclusive",
+    _agingBucketFor(7) === "days_0_7" &&
+      _agingBucketFor(8) === "days_8_30" &&
+      _agingBucketFor(60) === "days_31_60" &&
+      _agingBucketFor(61) === "days_over_60",
+  );
+  __expectFailure(
+    "an invalid as_of is rejected",
+    getAgingReport({ as_of: "2024-13-01" }),
+  );
+}
+
+function testSalesSummaryPendingMonth() {
+  const customer = __registerTestCustomer();
+  const sale = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    sale_date: "2024-06-05T10:00:00",
+  }).sale;
+
+  const summary = getSalesSummary({ from: "2024-06", to: "2024-06" });
+  const month = summary.months[0] || {};
+  __check(
+    "a month marked pending by a sale is pending",
+    month.month === "sales_2024_06" && month.status === "pending",
+    month,
+  );
+  __check(
+    "its figures include the new sale",
+    month.sales_count >= 1 &&
+      month.outstanding_balance >= sale.total_price &&
+      summary.totals.outstanding_balance === month.outstanding_balance,
+    summary,
+  );
+}
+
+function testLapsedCustomers() {
+  const sell = (customer, saleDate) =>
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      sale_date: `${saleDate}T10:00:00`,
+    }).sale;
+  // Every 2 days, then 15 days away: lapsed on 2024-03-20.
+  const lapsed = __registerTestCustomer();
+  ["2024-03-01", "2024-03-03", "2024-03-05"].forEach((day) =>
+    sell(lapsed, day),
+  );
+  const mistake = sell(lapsed, "2024-03-19");
+  voidSale({ sale_id: mistake.sale_id, reason: "Test" });
+  // Every 10 days, then 9 days away: still regular.
+  const regular = __registerTestCustomer();
+  ["2024-03-01", "2024-03-11"].forEach((day) => sell(regular, day));
+  // A single visit has no usual gap.
+  const once = __registerTestCustomer();
+  sell(once, "2024-01-02");
+
+  const analytics = {};
+  for (let offset = 0; ; offset += MAX_ANALYTICS_LIMIT) {
+    const page = getCustomerAnalytics({
+      as_of: "2024-03-20",
+      limit: MAX_ANALYTICS_LIMIT,
+      offset: offset,
+    });
+    if (!page.success || page.results.length === 0) break;
+    page.results.forEach((entry) => {
+      analytics[entry.customer_id] = entry;
+    });
+  }
+
+  const flagged = analytics[lapsed.customer_id];
+  __check(
+    "a customer away for over twice their usual gap is lapsed",
+    flagged &&
+      flagged.lapsed &&
+      flagged.visits === 3 &&
+      flagged.average_days_between_visits === 2,
+    flagged,
+  );
+  __check(
+    "a customer within their usual gap is not lapsed",
+    analytics[regular.customer_id] && !analytics[regular.customer_id].lapsed,
+    analytics[regular.customer_id],
+  );
+  __check(
+    "a customer with a single visit is never lapsed",
+    analytics[once.customer_id] && !analytics[once.customer_id].lapsed,
+    analytics[once.customer_id],
+  );
+}
+
+function testCashClose() {
+  const businessDate = "2024-07-10";
+  const customer = __registerTestCustomer();
+  const paid = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    amount_paid: 1000,
+    payment_method: "nequi",
+    sale_date: `${businessDate}T12:00:00`,
+  }).sale;
+  const unpaid = registerSale({
+    customer_id: customer.customer_id,
+    quantity: 1,
+    sale_date: `${businessDate}T12:30:00`,
+  }).sale;
+  const day = getCashClose({ business_date: businessDate });
+  __check(
+    "the day's payments are expected by method",
+    day.success && day.status === "open" && day.expected.nequi >= 1000,
+    day,
+  );
+
+  const counted = { ...day.expected, cash: (day.expected.cash || 0) + 500 };
+  const closed = closeBusinessDay({
+    business_date: businessDate,
+    counted: counted,
+    notes: "Test",
+  });
+  __check("closeBusinessDay succeeds", closed.success, closed);
+  __check(
+    "an extra 500 in the drawer is a difference of 500",
+    closed.success && closed.close.difference === 500,
+    closed,
+  );
+  __expectFailure(
+    "a closed day cannot be closed again",
+    closeBusinessDay({ business_date: businessDate, counted: counted }),
+    ERROR_CODES.CONFLICT,
+  );
+  __expectFailure(
+    "a closed day rejects new sales",
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      sale_date: `${businessDate}T13:00:00`,
+    }),
+    ERROR_CODES.DAY_CLOSED,
+  );
+  __expectFailure(
+    "a closed day rejects voids of its sales",
+    voidSale({ sale_id: unpaid.sale_id, reason: "Test" }),
+    ERROR_CODES.DAY_CLOSED,
+  );
+  __check(
+    "a sale from a closed day can still be refunded today",
+    refundSale({ sale_id: paid.sale_id, reason: "Test" }).success,
+  );
+
+  const reopened = reopenBusinessDay({
+    business_date: businessDate,
+    reason: "Test",
+  });
+  __check("reopenBusinessDay succeeds", reopened.success, reopened);
+  __check(
+    "a reopened day accepts sales again",
+    registerSale({
+      customer_id: customer.customer_id,
+      quantity: 1,
+      sale_date: `${businessDate}T13:00:00`,
+    }).success,
+  );
+}
+
+function testPaymentReminders() {
+  const customer = __registerTestCustomer();
+  updateCustomer({
+    customer_id: customer.customer_id,
+    email: `test.${customer.phone}@example.com`,
+  });
+  registerSale({ customer_id: customer.customer_id, quantity: 1 });
+  const remind = (channel, dryRun) =>
+    sendPaymentReminders({
+      channel: channel,
+      dry_run: dryRun,
+      customer_ids: [customer.customer_id],
+    });
+
+  const first = remind(REMINDER_CHANNELS.WHATSAPP, false);
+  __check(
+    "a WhatsApp reminder is logged as generated",
+    first.success &&
+      first.reminders.length === 1 &&
+      first.reminders[0].status === REMINDER_STATUS.GENERATED &&
+      first.reminders[0].whatsapp_url.startsWith("https://wa.me/"),
+    first,
+  );
+  const second = remind(REMINDER_CHANNELS.WHATSAPP, false);
+  __check(
+    "a generated WhatsApp link holds back the next reminder",
+    second.success &&
+      second.reminders.length === 0 &&
+      second.skipped.length === 1,
+    second,
+  );
+  const preview = remind(REMINDER_CHANNELS.EMAIL, true);
+  __check(
+    "a WhatsApp link holds back an email reminder too",
+    preview.success &&
+      preview.reminders.length === 0 &&
+      preview.skipped.length === 1,
+    preview,
+  );
+}
+
+function testJobScheduleOverrides() {
+  const resolves = (name, defaults, overrides, expected) => {
+    const schedule = _resolveJobSchedule(defaults, overrides);
+    __check(
+      name,
+      JSON.stringify(schedule) === JSON.stringify(expected),
+      schedule,
+    );
+  };
+  resolves(
+    "at_hour turns an hourly job daily",
+    { every_hours: 1 },
+    { at_hour: 6 },
+    { at_hour: 6 },
+  );
+  resolves(
+    "every_hours replaces a weekly schedule",
+    { week_day: "MONDAY", at_hour: 9 },
+    { every_hours: 2 },
+    { every_hours: 2 },
+  );
+  resolves(
+    "week_day replaces month_day and keeps the hour",
+    { month_day: 25, at_hour: 23 },
+    { week_day: "friday" },
+    { week_day: "FRIDAY", at_hour: 23 },
+  );
+  resolves(
+    "at_hour alone keeps a weekly job weekly",
+    { week_day: "MONDAY", at_hour: 9 },
+    { at_hour: 10 },
+    { week_day: "MONDAY", at_hour: 10 },
+  );
+
+  let error = null;
+  try {
+    _resolveJobSchedule({ at_hour: 3 }, { every_hours: 2, at_hour: 4 });
+  } catch (e) {
+    error = e;
+  }
+  __check("mixing schedule kinds is rejected", error !== null);
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const hadSheet = Boolean(ss.getSheetByName(JOB_RUNS_SHEET_NAME));
+  const listed = getJobs();
+  __check(
+    "listing jobs never creates the job_runs sheet",
+    listed.success &&
+      Boolean(ss.getSheetByName(JOB_RUNS_SHEET_NAME)) === hadSheet,
+    listed,
+  );
+}
+
+function testMigrations() {
+  const applied = runMigrations();
+  __check("runMigrations succeeds", applied.success, applied);
+  const status = getSchemaStatus();
+  __check(
+    "the schema is at the latest version",
+    status.schema_version === status.latest_version &&
+      status.pending.length === 0,
+    status,
+  );
+  const again = runMigrations();
+  __check(
+    "running again changes nothing",
+    again.success && again.migrations.length === 0,
+    again,
+  );
+
+  // Exercise the step types on a scratch sheet.
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = `test_migration_${Date.now()}`;
+  const sheet = ss.insertSheet(sheetName);
+  try {
+    sheet.appendRow(["id", "amount"]);
+    sheet.appendRow(["A", 10]);
+    const addColumn = {
+      type: MIGRATION_STEP_TYPES.ADD_COLUMN,
+      sheet: sheetName,
+      column: "doubled",
+    };
+    const backfill = {
+      type: MIGRATION_STEP_TYPES.BACKFILL,
+      sheet: sheetName,
+      column: "doubled",
+      value: (record) => record.amount * 2,
+    };
+
+    const preview = [addColumn, backfill].flatMap((step) =>
+      _applyMigrationStep(step, true),
+    );
+    __check(
+      "a dry run reports the changes without making them",
+      preview.length === 2 && _getHeaderRow(sheet).length === 2,
+      preview,
+    );
+
+    _getSettingsMap();
+    _applyMigrationStep(addColumn, false);
+    __check(
+      "a step that changes a sheet drops the settings memo",
+      settingsMemo === null,
+    );
+    _applyMigrationStep(backfill, false);
+    _applyMigrationStep(
+      {
+        type: MIGRATION_STEP_TYPES.RENAME_HEADER,
+        sheet: sheetName,
+        from: "amount",
+        to: "total",
+      },
+      false,
+    );
+    const values = sheet.getDataRange().getValues();
+    __check(
+      "columns are added, backfilled and renamed",
+      JSON.stringify(values) ===
+        JSON.stringify([
+          ["id", "total", "doubled"],
+          ["A", 10, 20],
+        ]),
+      values,
+    );
+    __check(
+      "steps are idempotent",
+      _applyMigrationStep(addColumn, false).length === 0 &&
+        _applyMigrationStep(backfill, false).length === 0,
+    );
+  } finally {
+    ss.deleteSheet(sheet);
+  }
+}
+
+function testPhoneDigitsSetting() {
+  const customer = __registerTestCustomer();
+  const digits = _getSetting("phone_digits");
+  const otherDigits = digits < 15 ? digits + 1 : digits - 1;
+
+  __expectFailure(
+    "phone_digits cannot change while stored phones have another length",
+    updateSettings({ settings: { phone_digits: otherDigits } }),
+    ERROR_CODES.CONFLICT,
+  );
+  __check(
+    "the refused change leaves phone_digits as it was",
+    _getSetting("phone_digits") === digits,
+  );
+  __check(
+    "customers are still found by phone",
+    findCustomerByPhone(customer.phone) !== null,
+  );
+  const unchanged = updateSettings({ settings: { phone_digits: digits } });
+  __check("saving the current length succeeds", unchanged.success, unchanged);
+}